@@ -1,4 +1,7 @@
-import { AdequateCache } from '../src';
+import { AdequateCache, formatPrometheusStats } from '../src';
+
+// AbortController is not available in older node versions
+const itWithAbortController = typeof AbortController !== 'undefined' ? it : it.skip;
 
 describe(`AdequateCache`, () => {
   it('can perform basic operations', () => {
@@ -81,9 +84,10 @@ describe(`AdequateCache`, () => {
       cache.get('b');
 
       const [a, b, c, d] = ['a', 'b', 'c', 'd'].map(key => cache['_data'].get(key));
+      const list = cache['_policy']['_list'];
 
-      expect(cache['_head']).toEqual(b);
-      expect(cache['_tail']).toEqual(c);
+      expect(list.head).toEqual(b);
+      expect(list.tail).toEqual(c);
 
       expect(b.prev).toBeNull();
       expect(b.next).toEqual(d);
@@ -105,18 +109,18 @@ describe(`AdequateCache`, () => {
       cache.del('c');
 
       expect(d.next).toBeNull();
-      expect(cache['_tail']).toEqual(d);
+      expect(list.tail).toEqual(d);
 
       cache.del('b');
 
-      expect(cache['_head']).toEqual(d);
-      expect(cache['_tail']).toEqual(d);
+      expect(list.head).toEqual(d);
+      expect(list.tail).toEqual(d);
       expect(d.prev).toBeNull();
 
       cache.del('d');
 
-      expect(cache['_head']).toBeNull();
-      expect(cache['_tail']).toBeNull();
+      expect(list.head).toBeNull();
+      expect(list.tail).toBeNull();
     });
 
     it('will not bother linking entries if max is not set', () => {
@@ -130,8 +134,7 @@ describe(`AdequateCache`, () => {
 
       const [a, b] = ['a', 'b'].map(key => cache['_data'].get(key));
 
-      expect(cache['_head']).toBeNull();
-      expect(cache['_tail']).toBeNull();
+      expect(cache['_policy']).toBeNull();
       expect(a.next).toBeNull();
       expect(a.prev).toBeNull();
       expect(b.next).toBeNull();
@@ -139,6 +142,162 @@ describe(`AdequateCache`, () => {
     });
   });
 
+  describe('maxSize', () => {
+    it('will keep track of total size of entries', () => {
+      const cache = new AdequateCache<string>({
+        sizeOf: value => value.length,
+      });
+
+      cache.set('a', 'aaa');
+      cache.set('b', 'bb');
+      expect(cache.totalSize).toEqual(5);
+
+      cache.set('a', 'a');
+      expect(cache.totalSize).toEqual(3);
+
+      cache.set('c', 'c', { size: 10 });
+      expect(cache.totalSize).toEqual(13);
+
+      cache.del('b');
+      cache.emptyOut();
+      expect(cache.totalSize).toEqual(0);
+    });
+
+    it('will evict least recently used entries until under budget', () => {
+      const cache = new AdequateCache<string>({
+        maxSize: 10,
+        sizeOf: value => value.length,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+
+      cache.set('a', 'aaaa');
+      cache.set('b', 'bbb');
+      cache.set('c', 'cc');
+      cache.get('a');
+      expect(cache.totalSize).toEqual(9);
+
+      cache.set('d', 'ddd');
+
+      expect(['a', 'b', 'c', 'd'].map(cache.has)).toEqual([true, false, true, true]);
+      expect(cache.totalSize).toEqual(9);
+    });
+
+    it('will refuse entries larger than the entire budget', () => {
+      const disposed = [];
+      const cache = new AdequateCache<string>({
+        maxSize: 5,
+        sizeOf: value => value.length,
+        onDispose: (value, key, reason) => disposed.push([key, value, reason]),
+      });
+
+      cache.set('a', 'aaa');
+      expect(cache.set('b', 'bbbbbb')).toEqual(false);
+      expect(cache.has('b')).toEqual(false);
+
+      // Old value is not left lingering, but it wasn't replaced either
+      expect(cache.set('a', 'a', { size: 6 })).toEqual(false);
+      expect(cache.has('a')).toEqual(false);
+      expect(cache.totalSize).toEqual(0);
+      expect(disposed).toEqual([['a', 'aaa', 'deleted']]);
+    });
+
+    it('will throw on invalid sizes, without touching the existing value', () => {
+      const disposed = [];
+      const cache = new AdequateCache<string>({
+        sizeOf: value => (value === 'bad' ? NaN : 1),
+        onDispose: (value, key, reason) => disposed.push([key, value, reason]),
+      });
+
+      cache.set('a', 'A');
+
+      expect(() => cache.set('a', 'bad')).toThrow('Invalid size');
+      expect(() => cache.set('a', 'a', { size: -1 })).toThrow('Invalid size');
+      expect(cache.get('a')).toEqual('A');
+      expect(cache.totalSize).toEqual(1);
+      expect(disposed).toEqual([]);
+    });
+  });
+
+  describe('onDispose', () => {
+    it('will report disposed entries with the reason', () => {
+      const disposed = [];
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+        max: 2,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+        onDispose: (value, key, reason) => disposed.push([key, value, reason]),
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('a', 'A2');
+      cache.set('b', 'B');
+      cache.set('c', 'C');
+      cache.del('c');
+      cache.set('b', undefined);
+
+      cache.set('d', 'D');
+      cache['_now'] = () => 101;
+      cache.get('d');
+
+      cache.set('e', 'E', null);
+      cache.emptyOut();
+
+      expect(disposed).toEqual([
+        ['a', 'A', 'replaced'],
+        ['a', 'A2', 'evicted'],
+        ['c', 'C', 'deleted'],
+        ['b', 'B', 'deleted'],
+        ['d', 'D', 'expired'],
+        ['e', 'E', 'cleared'],
+      ]);
+    });
+
+    it('will report entries expired during vacuum', () => {
+      const disposed = [];
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+        vacuumFrequency: 100,
+        vacuumInBackground: false,
+        onDispose: (value, key, reason) => disposed.push([key, reason]),
+      });
+      cache['_lastVacuumAt'] = 0;
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache['_now'] = () => 101;
+      cache.set('b', 'B');
+
+      expect(disposed).toEqual([['a', 'expired']]);
+    });
+
+    it('will carry on if onDispose throws, and report the error', () => {
+      const errors = [];
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+        vacuumInBackground: false,
+        onDispose: () => {
+          throw new Error('Already closed');
+        },
+        onDisposeError: (err, key, reason) => errors.push([err.message, key, reason]),
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache['_now'] = () => 101;
+
+      expect(() => cache.prune()).not.toThrow();
+      expect(cache.size).toEqual(0);
+      expect(errors).toEqual([
+        ['Already closed', 'a', 'expired'],
+        ['Already closed', 'b', 'expired'],
+      ]);
+    });
+  });
+
   describe('keys', () => {
     it('will provide iterator for available keys which will not include expired entries', () => {
       const cache = new AdequateCache({
@@ -164,6 +323,591 @@ describe(`AdequateCache`, () => {
     });
   });
 
+  describe('inspection', () => {
+    it('can peek without affecting recency', () => {
+      const cache = new AdequateCache<string>({
+        max: 2,
+        ttl: 100,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      expect(cache.peek('a')).toEqual('A');
+      expect(cache.peek('x')).toBeUndefined();
+      expect(cache.stats().hits).toEqual(0);
+
+      cache.set('c', 'C');
+      expect(cache.peek('a')).toBeUndefined();
+      expect(cache.peek('b')).toEqual('B');
+
+      cache['_now'] = () => 101;
+      expect(cache.peek('b')).toBeUndefined();
+    });
+
+    it('can report remaining ttl', () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B', null);
+
+      cache['_now'] = () => 30;
+      expect(cache.getRemainingTtl('a')).toEqual(70);
+      expect(cache.getRemainingTtl('b')).toBeNull();
+      expect(cache.getRemainingTtl('c')).toBeUndefined();
+
+      cache['_now'] = () => 101;
+      expect(cache.getRemainingTtl('a')).toBeUndefined();
+    });
+
+    it('can touch entries to extend their ttl', () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+
+      cache['_now'] = () => 50;
+      expect(cache.touch('a')).toEqual(true);
+      expect(cache.touch('b', 500)).toEqual(true);
+      expect(cache.touch('c')).toEqual(false);
+      expect(cache.getRemainingTtl('a')).toEqual(100);
+      expect(cache.getRemainingTtl('b')).toEqual(500);
+
+      expect(cache.touch('a', null)).toEqual(true);
+      expect(cache['_ttlCount']).toEqual(1);
+
+      cache['_now'] = () => 1000;
+      expect(cache.getMany(['a', 'b'])).toEqual(['A', undefined]);
+      expect(cache.touch('b')).toEqual(false);
+    });
+
+    it('can iterate entries, skipping the expired ones', () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B', null);
+      cache.set('c', 'C', 200);
+
+      cache['_now'] = () => 101;
+
+      expect(Array.from(cache.entries())).toEqual([
+        ['b', 'B'],
+        ['c', 'C'],
+      ]);
+      expect(Array.from(cache.values())).toEqual(['B', 'C']);
+      expect(Array.from(cache)).toEqual([
+        ['b', 'B'],
+        ['c', 'C'],
+      ]);
+
+      const visited = [];
+      cache.forEach((value, key, target) => {
+        visited.push([key, value, target === cache]);
+      });
+      expect(visited).toEqual([
+        ['b', 'B', true],
+        ['c', 'C', true],
+      ]);
+
+      // Expired entry is still there, until we prune
+      expect(cache.size).toEqual(3);
+      cache.prune();
+      expect(cache.size).toEqual(2);
+    });
+  });
+
+  describe('tags', () => {
+    it('can invalidate all entries with a tag', () => {
+      const cache = new AdequateCache<string>();
+
+      cache.set('a', 'A', { tags: ['tenant:1', 'users'] });
+      cache.set('b', 'B', { tags: ['tenant:1'] });
+      cache.set('c', 'C', { ttl: 100, tags: ['tenant:2', 'users'] });
+      cache.set('d', 'D');
+
+      expect(cache.invalidateTag('tenant:1')).toEqual(2);
+      expect(cache.getMany(['a', 'b', 'c', 'd'])).toEqual([undefined, undefined, 'C', 'D']);
+      expect(cache.invalidateTag('tenant:1')).toEqual(0);
+
+      expect(cache.invalidateTag('users')).toEqual(1);
+      expect(cache['_tagIndex'].size).toEqual(0);
+    });
+
+    it('will use tagsOf for entries without explicit tags, including provided ones', async () => {
+      const cache = new AdequateCache<{ tenant: number }>({
+        provider: key => ({ tenant: 42 }),
+        tagsOf: value => [`tenant:${value.tenant}`],
+      });
+
+      await cache.provide('a');
+      cache.set('b', { tenant: 42 }, { tags: [] });
+
+      expect(cache.invalidateTag('tenant:42')).toEqual(1);
+      expect(cache.has('a')).toEqual(false);
+      expect(cache.has('b')).toEqual(true);
+    });
+
+    it('will keep tag index consistent when entries expire, get evicted or replaced', () => {
+      const cache = new AdequateCache<string>({
+        max: 2,
+        ttl: 100,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A', { tags: ['evicted'] });
+      cache.set('b', 'B', { tags: ['expired'] });
+      cache.set('c', 'C', { ttl: null, tags: ['replaced'] });
+      cache.set('c', 'C2', { ttl: null, tags: ['kept'] });
+
+      cache['_now'] = () => 101;
+      cache.get('b');
+
+      expect(Array.from(cache['_tagIndex'].keys())).toEqual(['kept']);
+      expect(cache.invalidateTag('kept')).toEqual(1);
+      expect(cache.size).toEqual(0);
+    });
+
+    it('will preserve tags in snapshots', () => {
+      const cache = new AdequateCache<string>();
+      cache.set('a', 'A', { tags: ['x'] });
+      cache.set('b', 'B');
+
+      const snapshot = cache.dump();
+      expect(snapshot.entries.map(entry => entry.tags)).toEqual([['x'], undefined]);
+
+      cache.emptyOut();
+      cache.load(snapshot);
+      expect(cache.invalidateTag('x')).toEqual(1);
+      expect(cache.has('b')).toEqual(true);
+    });
+  });
+
+  describe('namespace', () => {
+    it('will store prefixed keys in the parent cache', () => {
+      const cache = new AdequateCache<string>();
+      cache['_now'] = () => 0;
+      const users = cache.namespace('users');
+      const orders = cache.namespace('orders');
+
+      users.set(1, 'User 1');
+      users.set('2', 'User 2', { ttl: 100 });
+      orders.set(1, 'Order 1');
+
+      expect(users.get(1)).toEqual('User 1');
+      expect(orders.get(1)).toEqual('Order 1');
+      expect(cache.get('users:1')).toEqual('User 1');
+      expect(users.has(3)).toEqual(false);
+      expect(users.getRemainingTtl(2)).toEqual(100);
+      expect(Array.from(users.keys())).toEqual(['1', '2']);
+
+      expect(users.del(1)).toEqual(true);
+      expect(users.peek(1)).toBeUndefined();
+    });
+
+    it('can be emptied out without affecting the rest of the cache', () => {
+      const disposed = [];
+      const cache = new AdequateCache<string>({
+        onDispose: (value, key, reason) => disposed.push([key, reason]),
+      });
+      const { set, emptyOut } = cache.namespace('tenant:42');
+
+      set('a', 'A');
+      set('b', 'B', { tags: ['x'] });
+      cache.set('tenant:420:a', 'Other tenant');
+      cache.set('a', 'Global');
+
+      emptyOut();
+
+      expect(Array.from(cache.keys())).toEqual(['tenant:420:a', 'a']);
+      expect(cache['_tagIndex'].size).toEqual(0);
+      expect(disposed).toEqual([
+        ['tenant:42:a', 'cleared'],
+        ['tenant:42:b', 'cleared'],
+      ]);
+    });
+
+    it('will also empty out nested namespaces', () => {
+      const cache = new AdequateCache<string>();
+      cache.namespace('a').set('x', 'X');
+      cache.namespace('a:b').set('y', 'Y');
+
+      expect(Array.from(cache.namespace('a').keys())).toEqual(['x', 'b:y']);
+
+      cache.namespace('a').emptyOut();
+      expect(cache.size).toEqual(0);
+    });
+
+    it('will scope tags, batch operations and iteration', () => {
+      const cache = new AdequateCache<string>();
+      const users = cache.namespace('users');
+      const orders = cache.namespace('orders');
+
+      users.setMany([
+        ['1', 'User 1', { tags: ['x'] }],
+        ['2', 'User 2'],
+      ]);
+      orders.set('1', 'Order 1', { tags: ['x'] });
+
+      expect(cache.invalidateTag('x')).toEqual(0);
+      expect(users.getMany(['1', '2', '3'])).toEqual(['User 1', 'User 2', undefined]);
+      expect(Array.from(users)).toEqual([
+        ['1', 'User 1'],
+        ['2', 'User 2'],
+      ]);
+      expect(Array.from(orders.values())).toEqual(['Order 1']);
+
+      const seen = [];
+      users.forEach((value, key, namespace) => seen.push([key, value, namespace === users]));
+      expect(seen).toEqual([
+        ['1', 'User 1', true],
+        ['2', 'User 2', true],
+      ]);
+
+      expect(users.invalidateTag('x')).toEqual(1);
+      expect(orders.has('1')).toEqual(true);
+      expect(users.delMany(['1', '2'])).toEqual(1);
+      expect(Array.from(cache.keys())).toEqual(['orders:1']);
+    });
+  });
+
+  describe('batch', () => {
+    it('can get, set and delete multiple keys', () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+      });
+      cache['_now'] = () => 0;
+
+      expect(
+        cache.setMany([
+          ['a', 'A'],
+          ['b', 'B', null],
+          [3, 'C', { ttl: 200 }],
+        ])
+      ).toEqual([true, true, true]);
+      expect(cache.getMany(['a', 'b', '3', 'd'])).toEqual(['A', 'B', 'C', undefined]);
+
+      cache['_now'] = () => 150;
+      expect(cache.getMany(['a', 'b', '3'])).toEqual([undefined, 'B', 'C']);
+
+      expect(cache.delMany(['a', 'b', 'd'])).toEqual(1);
+      expect(Array.from(cache.keys())).toEqual(['3']);
+    });
+
+    describe('provideMany', () => {
+      it('will not work if not configured', () => {
+        const cache = new AdequateCache();
+        expect(() => cache.provideMany(['5'])).toThrow('Batch provider must be configured');
+      });
+
+      it('will call batch provider only for missing keys', async () => {
+        const calls = [];
+        const cache = new AdequateCache<string>({
+          batchProvider: keys => {
+            calls.push(keys);
+            return keys.map(key => (key === 'x' ? undefined : `${key}-result`));
+          },
+        });
+
+        cache.set('b', 'B');
+
+        expect(await cache.provideMany(['a', 'b', 'c', 'a', 'x'])).toEqual([
+          'a-result',
+          'B',
+          'c-result',
+          'a-result',
+          undefined,
+        ]);
+        expect(calls).toEqual([['a', 'c', 'x']]);
+        expect(cache.getMany(['a', 'c', 'x'])).toEqual(['a-result', 'c-result', undefined]);
+      });
+
+      it('will share pending requests with provide()', async () => {
+        let providerCalls = 0;
+        const batchCalls = [];
+        const cache = new AdequateCache<string>({
+          provider: key => {
+            providerCalls++;
+            return new Promise(resolve => setTimeout(() => resolve(`${key}-single`), 10));
+          },
+          batchProvider: keys => {
+            batchCalls.push(keys);
+            return new Promise(resolve =>
+              setTimeout(() => resolve(keys.map(key => `${key}-batch`)), 10)
+            );
+          },
+        });
+
+        const single = cache.provide('a');
+        const many = cache.provideMany(['a', 'b']);
+        const singleAfterBatch = cache.provide('b');
+
+        expect(await Promise.all([single, many, singleAfterBatch])).toEqual([
+          'a-single',
+          ['a-single', 'b-batch'],
+          'b-batch',
+        ]);
+        expect(providerCalls).toEqual(1);
+        expect(batchCalls).toEqual([['b']]);
+      });
+
+      it('will store each value with its own ttl', async () => {
+        const cache = new AdequateCache<string>({
+          ttl: 100,
+          batchProvider: keys => keys,
+        });
+        cache['_now'] = () => 0;
+        await cache.provideMany(['a']);
+
+        cache['_now'] = () => 50;
+        await cache.provideMany(['a', 'b']);
+
+        cache['_now'] = () => 120;
+        expect(cache.getMany(['a', 'b'])).toEqual([undefined, 'b']);
+      });
+
+      it('will reject if batch provider returns wrong number of values', async () => {
+        const cache = new AdequateCache<string>({
+          batchProvider: keys => ['a'],
+        });
+
+        await expect(cache.provideMany(['a', 'b'])).rejects.toThrow(
+          'must return an array of 2 values'
+        );
+        expect(cache['_providerPromises'].size).toEqual(0);
+      });
+    });
+  });
+
+  describe('snapshot', () => {
+    it('can dump entries with remaining ttl, in lru order', () => {
+      const cache = new AdequateCache<string>({
+        max: 10,
+        ttl: 100,
+      });
+      cache['_now'] = () => 1000;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B', null);
+      cache.set('c', 'C', { ttl: 20, size: 3 });
+
+      cache['_now'] = () => 1010;
+      cache.get('a');
+
+      expect(JSON.parse(JSON.stringify(cache.dump()))).toEqual({
+        timestamp: 1010,
+        entries: [
+          { key: 'b', value: 'B', ttl: null, size: 1, position: 0 },
+          { key: 'c', value: 'C', ttl: 10, size: 3, position: 1 },
+          { key: 'a', value: 'A', ttl: 90, size: 1, position: 2 },
+        ],
+      });
+
+      cache['_now'] = () => 1020;
+      const { timestamp, entries } = cache.dumpEntries();
+      expect(timestamp).toEqual(1020);
+      expect(Array.from(entries).map(entry => [entry.key, entry.position])).toEqual([
+        ['b', 0],
+        ['a', 1],
+      ]);
+    });
+
+    it('can load a snapshot, restoring ttl and lru order', () => {
+      const source = new AdequateCache<string>({ ttl: 100 });
+      source['_now'] = () => 1000;
+      source.set('a', 'A');
+      source.set('b', 'B', 200);
+      source.set('c', 'C', null);
+      const snapshot = source.dump();
+
+      const cache = new AdequateCache<string>({
+        max: 3,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      cache['_now'] = () => 1150;
+
+      expect(cache.load(snapshot)).toEqual(2);
+      expect(cache.getMany(['a', 'b', 'c'])).toEqual([undefined, 'B', 'C']);
+
+      cache['_now'] = () => 1201;
+      expect(cache.getMany(['b', 'c'])).toEqual([undefined, 'C']);
+
+      // LRU order is restored
+      const other = new AdequateCache<string>({
+        max: 2,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      other.loadEntries([
+        { key: 'x', value: 'X', ttl: null, size: 1, position: 0 },
+        { key: 'y', value: 'Y', ttl: null, size: 1, position: 1 },
+        { key: 'z', value: 'Z', ttl: null, size: 1, position: 2 },
+      ]);
+      expect(Array.from(other.keys())).toEqual(['y', 'z']);
+    });
+
+    it('will restore lru order from positions, even if entries were reordered', () => {
+      const source = new AdequateCache<string>({ max: 10 });
+      source['_now'] = () => 1000;
+      source.setMany([
+        ['a', 'A'],
+        ['b', 'B'],
+        ['c', 'C'],
+      ]);
+      source.get('a');
+
+      const { timestamp, entries } = source.dumpEntries();
+      const sortedByKey = Array.from(entries).sort((x, y) => y.key.localeCompare(x.key));
+
+      const cache = new AdequateCache<string>({
+        max: 2,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      cache['_now'] = () => 1000;
+      expect(cache.loadEntries(sortedByKey, timestamp)).toEqual(3);
+
+      // "b" was the least recently used, so it gets evicted
+      expect(Array.from(cache.keys())).toEqual(['c', 'a']);
+    });
+
+    it('will use custom value serializers', () => {
+      const cache = new AdequateCache<Date>({
+        serializeValue: value => value.toISOString(),
+        deserializeValue: serialized => new Date(serialized),
+      });
+      cache.set('a', new Date('2020-01-01T00:00:00.000Z'));
+
+      const snapshot = JSON.parse(JSON.stringify(cache.dump()));
+      expect(snapshot.entries[0].value).toEqual('2020-01-01T00:00:00.000Z');
+
+      cache.emptyOut();
+      cache.load(snapshot);
+      expect(cache.get('a')).toBeInstanceOf(Date);
+      expect(cache.get('a').getTime()).toEqual(Date.UTC(2020, 0, 1));
+    });
+  });
+
+  describe('stats', () => {
+    it('will count cache operations', () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+        max: 2,
+        vacuumInBackground: false,
+        vacuumOverflowFactor: 1,
+      });
+      cache['_now'] = () => 0;
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.get('a');
+      cache.get('x');
+      cache.set('c', 'C');
+      cache.del('a');
+      cache['_now'] = () => 101;
+      cache.get('c');
+
+      expect(cache.stats()).toMatchObject({
+        hits: 1,
+        misses: 2,
+        hitRatio: 1 / 3,
+        sets: 3,
+        deletes: 1,
+        expirations: 1,
+        evictions: 1,
+        vacuums: 4,
+        size: 0,
+        totalSize: 0,
+      });
+
+      cache.resetStats();
+      expect(cache.stats()).toMatchObject({
+        hits: 0,
+        misses: 0,
+        hitRatio: 0,
+        sets: 0,
+        vacuums: 0,
+      });
+    });
+
+    it('will count provider calls', async () => {
+      let callCount = 0;
+      const cache = new AdequateCache<string>({
+        providerRetries: 1,
+        providerRetryDelay: 1,
+        provider: key => {
+          callCount++;
+          return callCount === 1 ? Promise.reject(new Error('Failed')) : `${key}-result`;
+        },
+      });
+
+      await Promise.all([cache.provide('a'), cache.provide('a')]);
+      await cache.provide('a');
+
+      const stats = cache.stats();
+      expect(stats).toMatchObject({
+        hits: 1,
+        misses: 2,
+        providerCalls: 2,
+        providerSuccesses: 1,
+        providerFailures: 1,
+        providerDedupedWaits: 1,
+      });
+      expect(stats.providerLatency).toBeGreaterThanOrEqual(0);
+    });
+
+    it('will count stale values served by provide()', async () => {
+      const cache = new AdequateCache<string>({
+        ttl: 100,
+        staleTtl: 100,
+        provider: key => `${key}-result`,
+        batchProvider: keys => keys.map(key => `${key}-result`),
+      });
+      cache['_now'] = () => 0;
+
+      await cache.provideMany(['a', 'b']);
+      cache['_now'] = () => 150;
+      await cache.provide('a');
+      await cache.provideMany(['b']);
+
+      expect(cache.stats()).toMatchObject({
+        hits: 0,
+        misses: 4,
+        staleHits: 2,
+      });
+      expect(formatPrometheusStats(cache.stats())).toContain('adequate_cache_stale_hits_total 2\n');
+    });
+
+    it('can render stats in prometheus format', () => {
+      const cache = new AdequateCache();
+      cache.set('a', 'A');
+      cache.get('a');
+
+      const text = formatPrometheusStats(cache.stats(), {
+        prefix: 'users_cache',
+        labels: { instance: 'a"b' },
+      });
+
+      expect(text).toContain('# TYPE users_cache_hits_total counter\n');
+      expect(text).toContain('users_cache_hits_total{instance="a\\"b"} 1\n');
+      expect(text).toContain('users_cache_hit_ratio{instance="a\\"b"} 1\n');
+      expect(text).toContain('users_cache_size{instance="a\\"b"} 1\n');
+    });
+  });
+
   describe('binding', () => {
     it('will bind methods by default', () => {
       const { get, set, del, has } = new AdequateCache();
@@ -191,6 +935,9 @@ describe(`AdequateCache`, () => {
         _tryVacuum: () => {
           // Empty
         },
+        _counters: {
+          misses: 0,
+        },
       };
 
       expect(fakeCache.get('x')).toBeUndefined();
@@ -406,6 +1153,215 @@ describe(`AdequateCache`, () => {
       });
     });
 
+    describe('staleTtl', () => {
+      it('will serve stale value and refresh it in the background', async () => {
+        let callCount = 0;
+        const cache = new AdequateCache({
+          ttl: 100,
+          staleTtl: 100,
+          provider: key => `${key}-${++callCount}`,
+        });
+        cache['_now'] = () => 0;
+
+        expect(await cache.provide('a')).toEqual('a-1');
+
+        cache['_now'] = () => 150;
+        expect(cache.has('a')).toEqual(false);
+        expect(Array.from(cache.keys())).toEqual([]);
+
+        const [first, second] = await Promise.all([cache.provide('a'), cache.provide('a')]);
+        expect(first).toEqual('a-1');
+        expect(second).toEqual('a-1');
+
+        // Refresh happened once, in the background
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(callCount).toEqual(2);
+        expect(cache.get('a')).toEqual('a-2');
+        expect(await cache.provide('a')).toEqual('a-2');
+      });
+
+      it('will wait for provider once the stale period is over', async () => {
+        let callCount = 0;
+        const cache = new AdequateCache({
+          ttl: 100,
+          staleTtl: 100,
+          provider: key => `${key}-${++callCount}`,
+        });
+        cache['_now'] = () => 0;
+
+        await cache.provide('a');
+
+        cache['_now'] = () => 201;
+        expect(await cache.provide('a')).toEqual('a-2');
+      });
+
+      it('will keep serving stale value and report error if refresh fails', async () => {
+        const errors = [];
+        let fail = false;
+        const cache = new AdequateCache({
+          ttl: 100,
+          staleTtl: 100,
+          provider: key => (fail ? Promise.reject(new Error('Failed')) : 'value'),
+          onRefreshError: (err, key) => errors.push([err.message, key]),
+        });
+        cache['_now'] = () => 0;
+
+        await cache.provide('a');
+
+        fail = true;
+        cache['_now'] = () => 150;
+        expect(await cache.provide('a')).toEqual('value');
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(errors).toEqual([['Failed', 'a']]);
+        expect(await cache.provide('a')).toEqual('value');
+      });
+    });
+
+    describe('failures', () => {
+      it('will remember failures for errorTtl', async () => {
+        let callCount = 0;
+        const cache = new AdequateCache({
+          errorTtl: 100,
+          provider: key => {
+            callCount++;
+            return Promise.reject(new Error(`Failed ${callCount}`));
+          },
+        });
+        cache['_now'] = () => 0;
+
+        const results = await Promise.allSettled([cache.provide('a'), cache.provide('a')]);
+        expect(results.map(r => r.status === 'rejected' && r.reason.message)).toEqual([
+          'Failed 1',
+          'Failed 1',
+        ]);
+
+        await expect(cache.provide('a')).rejects.toThrow('Failed 1');
+        expect(callCount).toEqual(1);
+
+        cache['_now'] = () => 101;
+        await expect(cache.provide('a')).rejects.toThrow('Failed 2');
+        expect(callCount).toEqual(2);
+
+        cache.del('a');
+        await expect(cache.provide('a')).rejects.toThrow('Failed 3');
+      });
+
+      it('will retry failed provider calls', async () => {
+        let callCount = 0;
+        const cache = new AdequateCache({
+          providerRetries: 2,
+          providerRetryDelay: 1,
+          provider: key => {
+            callCount++;
+            return callCount < 3 ? Promise.reject(new Error('Failed')) : 'value';
+          },
+        });
+
+        expect(await Promise.all([cache.provide('a'), cache.provide('a')])).toEqual([
+          'value',
+          'value',
+        ]);
+        expect(callCount).toEqual(3);
+      });
+
+      it('will give up after configured number of retries', async () => {
+        let callCount = 0;
+        const cache = new AdequateCache({
+          providerRetries: 1,
+          providerRetryDelay: 1,
+          provider: key => {
+            callCount++;
+            return Promise.reject(new Error('Failed'));
+          },
+        });
+
+        await expect(cache.provide('a')).rejects.toThrow('Failed');
+        expect(callCount).toEqual(2);
+      });
+
+      it('will time out slow provider calls', async () => {
+        const cache = new AdequateCache({
+          providerTimeout: 10,
+          provider: key => new Promise(resolve => setTimeout(() => resolve('value'), 100)),
+        });
+
+        await expect(cache.provide('a')).rejects.toThrow('timed out after 10ms');
+        expect(cache.has('a')).toEqual(false);
+      });
+
+      itWithAbortController('will reject pending calls once signal is aborted', async () => {
+        let callCount = 0;
+        const controller = new AbortController();
+        const cache = new AdequateCache({
+          signal: controller.signal,
+          provider: key => {
+            callCount++;
+            return new Promise(resolve => setTimeout(() => resolve('value'), 100));
+          },
+        });
+
+        const promise = cache.provide('a');
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+        await expect(promise).rejects.toBeDefined();
+
+        await expect(cache.provide('b')).rejects.toBeDefined();
+        expect(callCount).toEqual(1);
+      });
+
+      itWithAbortController(
+        'will give provider a signal, which is aborted when the call times out',
+        async () => {
+          const signals: AbortSignal[] = [];
+          const cache = new AdequateCache<string, [string, AbortSignal?]>({
+            providerTimeout: 10,
+            providerRetries: 1,
+            providerRetryDelay: 0,
+            providerSignalArg: true,
+            provider: (key, signal) => {
+              signals.push(signal);
+              return new Promise(resolve => setTimeout(() => resolve('value'), 100));
+            },
+          });
+
+          await expect(cache.provide('a')).rejects.toThrow('timed out after 10ms');
+          expect(signals.length).toEqual(2);
+          expect(signals[0]).not.toBe(signals[1]);
+          expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+        }
+      );
+
+      it('will only give provider a signal if asked to', async () => {
+        const cache = new AdequateCache({
+          providerTimeout: 100,
+          provider: (...args) => args.join('+'),
+          batchProvider: (...args) => args[0].map(key => `${key}/${args.length}`),
+        });
+
+        expect(await cache.provide('a', 'b')).toEqual('a+b');
+        expect(await cache.provideMany(['c'])).toEqual(['c/1']);
+      });
+
+      itWithAbortController(
+        'will not abort the signal given to provider if the call succeeds',
+        async () => {
+          let providerSignal: AbortSignal;
+          const cache = new AdequateCache<string>({
+            providerTimeout: 100,
+            providerSignalArg: true,
+            batchProvider: (keys, signal) => {
+              providerSignal = signal;
+              return keys.map(key => key.toUpperCase());
+            },
+          });
+
+          await expect(cache.provideMany(['a', 'b'])).resolves.toEqual(['A', 'B']);
+          expect(providerSignal.aborted).toEqual(false);
+        }
+      );
+    });
+
     it('will reuse the same promise when called multiple times quickly', () => {
       let callCount = 0;
       const cache = new AdequateCache({
@@ -0,0 +1,169 @@
+import { AdequateCache, IAdequateCacheEvictionPolicy } from '../src';
+
+function makeCache(evictionPolicy, max = 3) {
+  return new AdequateCache<string>({
+    max,
+    evictionPolicy,
+    vacuumInBackground: false,
+    vacuumOverflowFactor: 1,
+  });
+}
+
+function evictionOrder(cache: AdequateCache<string>) {
+  return Array.from(cache['_policy'].entries()).map((entry: any) => entry.key);
+}
+
+describe(`eviction policies`, () => {
+  describe('lru', () => {
+    it('will evict the least recently used entries first', () => {
+      const cache = makeCache('lru');
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.set('c', 'C');
+      cache.get('a');
+      expect(evictionOrder(cache)).toEqual(['b', 'c', 'a']);
+
+      cache.set('d', 'D');
+      expect(evictionOrder(cache)).toEqual(['c', 'a', 'd']);
+
+      cache.get('c');
+      cache.set('e', 'E');
+      expect(evictionOrder(cache)).toEqual(['d', 'c', 'e']);
+    });
+  });
+
+  describe('fifo', () => {
+    it('will evict the oldest entries first, regardless of reads', () => {
+      const cache = makeCache('fifo');
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.set('c', 'C');
+      cache.get('a');
+      cache.get('a');
+      expect(evictionOrder(cache)).toEqual(['a', 'b', 'c']);
+
+      cache.set('d', 'D');
+      expect(evictionOrder(cache)).toEqual(['b', 'c', 'd']);
+
+      // Replacing a value counts as a new entry
+      cache.set('b', 'B2');
+      cache.set('e', 'E');
+      expect(evictionOrder(cache)).toEqual(['d', 'b', 'e']);
+    });
+  });
+
+  describe('lfu', () => {
+    it('will evict the least frequently used entries first', () => {
+      const cache = makeCache('lfu');
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.set('c', 'C');
+      cache.get('a');
+      cache.get('a');
+      cache.get('c');
+      expect(evictionOrder(cache)).toEqual(['b', 'c', 'a']);
+
+      cache.set('d', 'D');
+      expect(evictionOrder(cache)).toEqual(['d', 'c', 'a']);
+
+      // Ties are broken by recency
+      cache.get('d');
+      expect(evictionOrder(cache)).toEqual(['c', 'd', 'a']);
+
+      // New entries are the least frequently used, so they go first
+      cache.set('e', 'E');
+      expect(evictionOrder(cache)).toEqual(['c', 'd', 'a']);
+      expect(['a', 'b', 'c', 'd', 'e'].map(cache.has)).toEqual([true, false, true, true, false]);
+    });
+
+    it('will keep track of the minimum frequency as entries are removed', () => {
+      const cache = makeCache('lfu');
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.get('a');
+      cache.get('b');
+      cache.get('b');
+      cache.del('a');
+      cache.set('c', 'C');
+      cache.del('c');
+
+      expect(cache['_policy'].nextVictim().key).toEqual('b');
+    });
+  });
+
+  describe('tinylfu', () => {
+    it('will not let a scan flush out frequently used entries', () => {
+      const cache = makeCache('tinylfu', 3);
+
+      for (let i = 0; i < 5; i++) {
+        ['hot1', 'hot2', 'hot3'].forEach(key => {
+          if (!cache.has(key)) {
+            cache.set(key, key);
+          }
+        });
+      }
+
+      for (let i = 0; i < 20; i++) {
+        cache.set(`scan${i}`, 'scan');
+      }
+
+      expect(['hot1', 'hot2', 'hot3'].map(cache.has)).toEqual([true, true, true]);
+    });
+
+    it('will admit new entries once they become popular', () => {
+      const cache = makeCache('tinylfu', 2);
+
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      cache.get('a');
+      cache.get('b');
+
+      // New entry which is only used once doesn't get in
+      cache.set('c', 'C');
+      expect(['a', 'b', 'c'].map(cache.has)).toEqual([true, true, false]);
+
+      // But if it keeps coming back, it replaces the least recently used one
+      for (let i = 0; i < 3; i++) {
+        cache.set('c', 'C');
+      }
+      expect(cache.has('c')).toEqual(true);
+      expect(['a', 'b'].map(cache.has).filter(Boolean).length).toEqual(1);
+    });
+
+    it('will size the frequency sketch according to max', () => {
+      const sketchWidth = (cache: AdequateCache<string>) =>
+        cache['_policy']['_sketch']['_mask'] + 1;
+
+      expect(sketchWidth(makeCache('tinylfu', 3))).toEqual(1024);
+      expect(sketchWidth(makeCache('tinylfu', 5000))).toEqual(8192);
+    });
+  });
+
+  describe('custom', () => {
+    it('can use a custom policy', () => {
+      const removed = [];
+      const customPolicy: IAdequateCacheEvictionPolicy = {
+        onAdd: () => undefined,
+        onAccess: () => undefined,
+        onRemove: entry => removed.push(entry.key),
+        nextVictim: () => cache['_data'].get('keeper') && cache['_data'].values().next().value,
+        entries: () => [],
+      };
+      const cache = makeCache(() => customPolicy, 1);
+
+      cache.set('keeper', 'K');
+      cache.set('other', 'O');
+
+      expect(removed).toEqual(['keeper']);
+      expect(cache.has('other')).toEqual(true);
+    });
+
+    it('will throw on unknown policy names', () => {
+      expect(() => makeCache('random')).toThrow('Unknown eviction policy');
+    });
+  });
+});
@@ -1,5 +1,18 @@
-import { AdequateCacheEntry } from './internals';
-import { DEFAULT_OPTIONS, IAdequateCacheOptions } from './options';
+import { createEvictionPolicy, IAdequateCacheEvictionPolicy } from './eviction_policies';
+import { AdequateCacheEntry, AdequateCacheFailure } from './internals';
+import { AdequateCacheNamespace } from './namespace';
+import {
+  AdequateCacheDisposeReason,
+  DEFAULT_OPTIONS,
+  IAdequateCacheOptions,
+  IAdequateCacheSetOptions,
+} from './options';
+import {
+  IAdequateCacheSnapshot,
+  IAdequateCacheSnapshotEntry,
+  IAdequateCacheSnapshotStream,
+} from './snapshot';
+import { AdequateCacheCounters, createCounters, IAdequateCacheStats, measureNow } from './stats';
 
 /**
  * Entirely adequate node.js in-memory cache with lru and ttl support
@@ -8,19 +21,31 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
   private _options: IAdequateCacheOptions<TValue, TProviderArgs>;
 
   private _data = new Map<string, AdequateCacheEntry<TValue>>();
-  private _head: AdequateCacheEntry<TValue> = null;
-  private _tail: AdequateCacheEntry<TValue> = null;
 
   /**
    * Source of time information
    */
   private _now: () => number;
 
+  /**
+   * Decides what to evict. Only used if we have "max" or "maxSize" limits.
+   */
+  private _policy: IAdequateCacheEvictionPolicy<AdequateCacheEntry<TValue>> | null;
+
   private _ttlCount = 0;
+  private _totalSize = 0;
   private _lastVacuumAt: number;
   private _pendingVacuum = false;
 
   private _providerPromises = new Map<string, Promise<TValue>>();
+  private _providerFailures = new Map<string, AdequateCacheFailure>();
+
+  private _counters: AdequateCacheCounters = createCounters();
+
+  /**
+   * Entries which have each tag
+   */
+  private _tagIndex = new Map<string, Set<AdequateCacheEntry<TValue>>>();
 
   constructor(userSuppliedOptions?: IAdequateCacheOptions<TValue, TProviderArgs>) {
     const options = { ...DEFAULT_OPTIONS } as IAdequateCacheOptions<TValue, TProviderArgs>;
@@ -38,8 +63,13 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
 
     this._options = options;
     this._now = options.now || Date.now;
+    this._policy =
+      options.max || options.maxSize
+        ? createEvictionPolicy(options.evictionPolicy, options.max)
+        : null;
 
     this._ttlCount = 0;
+    this._totalSize = 0;
     this._lastVacuumAt = this._now();
 
     if (this._options.bindMethods) {
@@ -50,6 +80,25 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
       this.emptyOut = this.emptyOut.bind(this);
       this.provide = this.provide.bind(this);
       this.keys = this.keys.bind(this);
+      this.getMany = this.getMany.bind(this);
+      this.setMany = this.setMany.bind(this);
+      this.delMany = this.delMany.bind(this);
+      this.provideMany = this.provideMany.bind(this);
+      this.dump = this.dump.bind(this);
+      this.load = this.load.bind(this);
+      this.dumpEntries = this.dumpEntries.bind(this);
+      this.loadEntries = this.loadEntries.bind(this);
+      this.stats = this.stats.bind(this);
+      this.resetStats = this.resetStats.bind(this);
+      this.peek = this.peek.bind(this);
+      this.getRemainingTtl = this.getRemainingTtl.bind(this);
+      this.touch = this.touch.bind(this);
+      this.entries = this.entries.bind(this);
+      this.values = this.values.bind(this);
+      this.forEach = this.forEach.bind(this);
+      this.prune = this.prune.bind(this);
+      this.invalidateTag = this.invalidateTag.bind(this);
+      this.namespace = this.namespace.bind(this);
     }
   }
 
@@ -68,16 +117,25 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
     key = String(key);
     let entry = this._data.get(key);
     if (entry) {
-      if (entry.hasExpired(this._now())) {
+      const now = this._now();
+      if (entry.hasExpired(now, this._options.staleTtl)) {
         // Delete expired entry
-        this._doDelete(entry);
+        this._doDelete(entry, 'expired');
+        entry = undefined;
+      } else if (entry.isStale(now)) {
+        // Keep it around, so that provide() can serve it while refreshing. But don't give it out here.
         entry = undefined;
-      } else if (this._options.max) {
-        this._detach(entry);
-        this._attachToHead(entry);
+      } else if (this._policy) {
+        this._policy.onAccess(entry);
       }
     }
 
+    if (entry) {
+      this._counters.hits++;
+    } else {
+      this._counters.misses++;
+    }
+
     this._tryVacuum();
 
     return entry ? entry.value : undefined;
@@ -86,30 +144,71 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
   /**
    * Set value at key. Optionally set ttl for this particular key, otherwise use the global default.
    * If value is undefined, the key is deleted from cache.
+   * Returns false if the value was too large to fit into "maxSize" budget, and was thus not stored.
    * @param key
    * @param value
-   * @param ttl Set TTL specifically for this key
+   * @param ttlOrOptions Set TTL specifically for this key, or provide an object with per-call options
    */
-  set(key: string | number, value: TValue, ttl?: number): boolean {
+  set(
+    key: string | number,
+    value: TValue,
+    ttlOrOptions?: number | null | IAdequateCacheSetOptions
+  ): boolean {
     if (value === undefined) {
       return this.del(key);
     }
 
     key = String(key);
 
+    const setOptions: IAdequateCacheSetOptions =
+      ttlOrOptions !== null && typeof ttlOrOptions === 'object'
+        ? ttlOrOptions
+        : { ttl: ttlOrOptions as number | null };
+
+    let ttl = setOptions.ttl;
+    if (ttl === undefined) {
+      ttl = this._options.ttl;
+    }
+
+    // Validate the new entry before touching the existing one, in case something throws
+    const size = this._calculateSize(key, value, setOptions.size);
+
+    let tags = setOptions.tags;
+    if (tags === undefined && this._options.tagsOf) {
+      tags = this._options.tagsOf(value, key);
+    }
+
     const existing = this._data.get(key);
+
+    if (this._options.maxSize && size > this._options.maxSize) {
+      // This would push everything else out, and still not fit. Skip it.
+      // Old value is not valid anymore, so we don't want to leave it lingering.
+      if (existing) {
+        this._doDelete(existing, 'deleted');
+      }
+      return false;
+    }
+
     if (existing) {
-      this._doDelete(existing);
+      this._doDelete(existing, 'replaced');
     }
 
-    if (ttl === undefined) {
-      ttl = this._options.ttl;
+    const entry = new AdequateCacheEntry<TValue>(key, value, ttl, this._now(), size);
+
+    if (tags && tags.length) {
+      entry.tags = Array.from(new Set(tags.map(String)));
+      for (const tag of entry.tags) {
+        let tagged = this._tagIndex.get(tag);
+        if (!tagged) {
+          tagged = new Set();
+          this._tagIndex.set(tag, tagged);
+        }
+        tagged.add(entry);
+      }
     }
-    const entry = new AdequateCacheEntry<TValue>(key, value, ttl, this._now());
 
-    if (this._options.max) {
-      // New entries go to top if we are doing lru
-      this._attachToHead(entry);
+    if (this._policy) {
+      this._policy.onAdd(entry);
     }
 
     this._data.set(String(key), entry);
@@ -117,6 +216,8 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
     if (ttl) {
       this._ttlCount++;
     }
+    this._totalSize += size;
+    this._counters.sets++;
 
     this._tryVacuum();
 
@@ -125,16 +226,19 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
 
   /**
    * Delete value at key. Returns true if value was in the cache, false if not.
+   * This also forgets any remembered provider failure for the key (see "errorTtl").
    */
   del(key: string | number) {
     key = String(key);
+    this._providerFailures.delete(key);
+
     const entry = this._data.get(key);
 
     if (!entry) {
       return false;
     }
 
-    this._doDelete(entry);
+    this._doDelete(entry, 'deleted');
 
     return true;
   }
@@ -143,14 +247,48 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
    * Empty out all keys, reverting the cache to clear state.
    */
   emptyOut() {
-    for (const key of this._data.keys()) {
-      this.del(key);
+    for (const entry of this._data.values()) {
+      this._doDelete(entry, 'cleared');
+    }
+    this._providerFailures.clear();
+  }
+
+  /**
+   * Delete all the values which were set with the given tag. Returns the number of deleted values.
+   */
+  invalidateTag(tag: string): number {
+    const tagged = this._tagIndex.get(String(tag));
+    if (!tagged) {
+      return 0;
+    }
+
+    const entries = Array.from(tagged);
+    for (const entry of entries) {
+      this._doDelete(entry, 'deleted');
     }
+    return entries.length;
+  }
+
+  /**
+   * Returns a view of this cache, where all the keys (and tags) are prefixed with "prefix:". Namespace shares
+   * storage, limits and options with this cache, but can be emptied out separately.
+   * See AdequateCacheNamespace for details.
+   */
+  namespace(prefix: string): AdequateCacheNamespace<TValue> {
+    return new AdequateCacheNamespace<TValue>(
+      this,
+      prefix,
+      keyPrefix => this._emptyOutPrefix(keyPrefix),
+      this._options.bindMethods
+    );
   }
 
   /**
    * Returns value if it is already in cache. Otherwise, calls the "provider" method (that must be given
    * through options) and stores the value in cache, before returning it.
+   * If "staleTtl" option is set and the value is stale, returns the stale value right away
+   * and refreshes it in the background.
+   * Provider failures can be retried, timed out and remembered, based on options.
    */
   provide(...args: TProviderArgs): Promise<TValue> {
     if (!this._options.provider) {
@@ -164,18 +302,401 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
       key = args.map(String).join(',');
     }
 
-    if (this.has(key)) {
-      return Promise.resolve(this.get(key));
+    const value = this.get(key);
+    if (value !== undefined) {
+      return Promise.resolve(value);
     }
 
-    let promise = this._providerPromises.get(key);
+    if (this._options.staleTtl) {
+      const staleEntry = this._data.get(key);
+      if (staleEntry) {
+        // has() didn't return it, but it is still in the lookup, so it must be stale
+        this._counters.staleHits++;
+        this._refreshInBackground(key, args);
+        return Promise.resolve(staleEntry.value);
+      }
+    }
+
+    return this._callProvider(key, args);
+  }
+
+  /**
+   * Get values for multiple keys at once. Returns an array of values, in the same order as keys.
+   * Missing values are returned as undefined.
+   */
+  getMany(keys: Array<string | number>): Array<TValue | undefined> {
+    return keys.map(key => this.get(key));
+  }
+
+  /**
+   * Set multiple values at once. Each entry is an array of arguments you would give to set().
+   * Returns an array of results of individual set() calls.
+   */
+  setMany(
+    entries: Array<[string | number, TValue, (number | null | IAdequateCacheSetOptions)?]>
+  ): boolean[] {
+    return entries.map(([key, value, ttlOrOptions]) => this.set(key, value, ttlOrOptions));
+  }
+
+  /**
+   * Delete values at multiple keys. Returns the number of values that were actually in the cache.
+   */
+  delMany(keys: Array<string | number>): number {
+    let count = 0;
+    for (const key of keys) {
+      if (this.del(key)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Batch version of provide(). Returns values for all the given keys, in the same order as keys.
+   * Values that are not in the cache are obtained using a single call to "batchProvider" (that must be given
+   * through options), and stored in cache individually.
+   * Keys which are already being provided (through provide() or provideMany()) are not requested again.
+   */
+  provideMany(keys: Array<string | number>): Promise<TValue[]> {
+    if (!this._options.batchProvider) {
+      throw new Error(
+        'Batch provider must be configured if you wish to use the "provideMany" method'
+      );
+    }
+
+    const results = new Map<string, TValue | Promise<TValue>>();
+    const seenKeys = new Set<string>();
+    const missingKeys: string[] = [];
+    const staleKeys: string[] = [];
+
+    for (const key of keys.map(String)) {
+      if (seenKeys.has(key)) {
+        continue;
+      }
+      seenKeys.add(key);
+
+      const value = this.get(key);
+      if (value !== undefined) {
+        results.set(key, value);
+        continue;
+      }
+
+      const staleEntry = this._options.staleTtl && this._data.get(key);
+      if (staleEntry) {
+        this._counters.staleHits++;
+        results.set(key, staleEntry.value);
+        if (!this._providerPromises.has(key) && !this._getProviderFailure(key)) {
+          staleKeys.push(key);
+        }
+        continue;
+      }
+
+      const promise = this._providerPromises.get(key);
+      if (promise) {
+        this._counters.providerDedupedWaits++;
+        results.set(key, promise);
+        continue;
+      }
+
+      const failure = this._getProviderFailure(key);
+      if (failure) {
+        results.set(key, Promise.reject(failure.error));
+        continue;
+      }
+
+      missingKeys.push(key);
+    }
+
+    // Stale keys are refreshed in the same batch, but nobody waits for them
+    const batchKeys = missingKeys.concat(staleKeys);
+    if (batchKeys.length) {
+      const batchPromise = this._attemptProvider(
+        signal =>
+          signal
+            ? this._options.batchProvider(batchKeys, signal)
+            : this._options.batchProvider(batchKeys),
+        0
+      ).then(values => {
+        if (!Array.isArray(values) || values.length !== batchKeys.length) {
+          throw new Error(
+            `Batch provider must return an array of ${batchKeys.length} values, one for each key`
+          );
+        }
+        return values;
+      });
+
+      batchKeys.forEach((key, index) => {
+        const promise = this._trackProviderPromise(
+          key,
+          batchPromise.then(values => values[index])
+        );
+        if (index < missingKeys.length) {
+          results.set(key, promise);
+        } else {
+          promise.catch(err => {
+            if (this._options.onRefreshError) {
+              this._options.onRefreshError(err, key);
+            }
+          });
+        }
+      });
+    }
+
+    return Promise.all(keys.map(key => results.get(String(key))));
+  }
+
+  /**
+   * Returns an iterator of all the keys currently in cache.
+   * Performs vacuum beforehand, so the keys you get are guaranteed
+   * to be actually non-expired. Keys are provided converted to string.
+   */
+  keys(): IterableIterator<string> {
+    this._vacuum();
+    if (this._options.staleTtl) {
+      return this._mapFreshEntries(entry => entry.key);
+    }
+    return this._data.keys();
+  }
+
+  /**
+   * Returns an iterator of [key, value] pairs currently in cache, in insertion order.
+   * Unlike keys(), this doesn't vacuum. Expired entries are lazily skipped instead.
+   * Iterating doesn't affect recency of entries.
+   */
+  entries(): IterableIterator<[string, TValue]> {
+    return this._mapFreshEntries(entry => [entry.key, entry.value]);
+  }
+
+  /**
+   * Returns an iterator of values currently in cache. Works the same way as entries().
+   */
+  values(): IterableIterator<TValue> {
+    return this._mapFreshEntries(entry => entry.value);
+  }
+
+  /**
+   * Call callback for each entry in cache, the same way as Map.forEach(). Expired entries are skipped.
+   */
+  forEach(
+    callback: (value: TValue, key: string, cache: AdequateCache<TValue, TProviderArgs>) => void,
+    thisArg?: any
+  ) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Same as entries(), so that you can do for (const [key, value] of cache) {...}
+   */
+  [Symbol.iterator](): IterableIterator<[string, TValue]> {
+    return this.entries();
+  }
+
+  /**
+   * Get value at key without affecting its recency or any stats. Returns undefined if value is not in cache.
+   */
+  peek(key: string | number): TValue | undefined {
+    const entry = this._getFreshEntry(String(key));
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Returns how many ms the value at key has left to live. Returns null if the value lives forever,
+   * or undefined if it is not in cache.
+   * Doesn't affect recency or stats.
+   */
+  getRemainingTtl(key: string | number): number | null | undefined {
+    const now = this._now();
+    const entry = this._getFreshEntry(String(key), now);
+    return entry ? entry.remainingTtl(now) : undefined;
+  }
+
+  /**
+   * Restart the ttl of the value at key, without changing the value itself. Optionally, set a new ttl
+   * (null means live forever). Doesn't affect recency.
+   * Returns true if value was in the cache, false if not.
+   */
+  touch(key: string | number, ttl?: number | null): boolean {
+    const now = this._now();
+    const entry = this._getFreshEntry(String(key), now);
+    if (!entry) {
+      return false;
+    }
+
+    if (ttl !== undefined) {
+      if (entry.ttl) {
+        this._ttlCount--;
+      }
+      entry.ttl = ttl;
+      if (entry.ttl) {
+        this._ttlCount++;
+      }
+    }
+    entry.timestamp = now;
+
+    return true;
+  }
+
+  /**
+   * Number of entries in cache. Note that this can include expired entries which haven't been vacuumed yet.
+   * Call prune() first if you need the exact number.
+   */
+  get size(): number {
+    return this._data.size;
+  }
+
+  /**
+   * Perform vacuum right now, removing all expired entries and evicting entries over the limits.
+   */
+  prune() {
+    this._vacuum();
+  }
+
+  /**
+   * Make a plain JSON-serializable snapshot of the cache, which can later be restored using load().
+   * Expired and stale entries are not included. Values are passed through "serializeValue" option, if given.
+   */
+  dump(): IAdequateCacheSnapshot {
+    const timestamp = this._now();
+    return {
+      timestamp,
+      entries: Array.from(this._dumpEntries(timestamp)),
+    };
+  }
+
+  /**
+   * Load entries from a snapshot made by dump(). Ttl-s are adjusted for the time that has passed
+   * since the snapshot was made, and entries which have expired in the meantime are skipped.
+   * Loaded entries are added on top of the existing ones, and become the most recently used.
+   * Returns the number of entries that were loaded.
+   */
+  load(snapshot: IAdequateCacheSnapshot): number {
+    return this.loadEntries(snapshot.entries, snapshot.timestamp);
+  }
+
+  /**
+   * Streaming version of dump(). Returns the snapshot timestamp, and an iterator which lazily produces
+   * snapshot entries, one by one, from the least to the most recently used. Ttl-s are relative to
+   * the timestamp, so keep it around if you want expiry to be accurate once you load the entries.
+   * Don't modify the cache while you are iterating.
+   */
+  dumpEntries(): IAdequateCacheSnapshotStream {
+    const timestamp = this._now();
+    return {
+      timestamp,
+      entries: this._dumpEntries(timestamp),
+    };
+  }
+
+  /**
+   * Streaming version of load(). Loads entries from any iterable. Give it the timestamp at which
+   * the entries were dumped, so ttl-s can be adjusted. Otherwise, ttl-s are taken as they are.
+   * Entries are loaded in the order of their "position", so they are all read before loading starts.
+   * Returns the number of entries that were loaded.
+   */
+  loadEntries(entries: Iterable<IAdequateCacheSnapshotEntry>, timestamp?: number): number {
+    const elapsed = timestamp === undefined ? 0 : Math.max(0, this._now() - timestamp);
+
+    const sortedEntries = Array.from(entries).sort((a, b) => a.position - b.position);
+
+    let count = 0;
+    for (const snapshotEntry of sortedEntries) {
+      let ttl = snapshotEntry.ttl;
+      if (ttl) {
+        ttl -= elapsed;
+        if (ttl <= 0) {
+          // Expired while in the snapshot
+          continue;
+        }
+      }
+
+      const value = this._options.deserializeValue
+        ? this._options.deserializeValue(snapshotEntry.value, snapshotEntry.key)
+        : snapshotEntry.value;
+
+      const setOptions = { ttl, size: snapshotEntry.size, tags: snapshotEntry.tags };
+      if (this.set(snapshotEntry.key, value, setOptions)) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Get statistics about cache usage. Counters are collected since the cache was created,
+   * or since the last call to resetStats().
+   */
+  stats(): IAdequateCacheStats {
+    const lookups = this._counters.hits + this._counters.misses;
+    return {
+      ...this._counters,
+      hitRatio: lookups ? this._counters.hits / lookups : 0,
+      size: this._data.size,
+      totalSize: this._totalSize,
+    };
+  }
+
+  /**
+   * Reset all stats counters to zero
+   */
+  resetStats() {
+    this._counters = createCounters();
+  }
+
+  /**
+   * Total size of all entries currently in cache, as determined by "sizeOf" option or sizes given to set().
+   * Note that this can include expired entries which haven't been vacuumed yet.
+   */
+  get totalSize(): number {
+    return this._totalSize;
+  }
+
+  /**
+   * Call provider and store its value under key. Concurrent calls for the same key share the same promise.
+   */
+  private _callProvider(key: string, args: TProviderArgs): Promise<TValue> {
+    const promise = this._providerPromises.get(key);
     if (promise) {
       // There is already an active provider promise. Reuse that one.
+      this._counters.providerDedupedWaits++;
       return promise;
     }
 
-    promise = Promise.resolve()
-      .then(() => this._options.provider(...args))
+    const failure = this._getProviderFailure(key);
+    if (failure) {
+      // Provider has failed recently. Don't bother it again.
+      return Promise.reject(failure.error);
+    }
+
+    return this._trackProviderPromise(
+      key,
+      this._attemptProvider(
+        signal =>
+          signal
+            ? (this._options.provider as (...args: any[]) => any)(...args, signal)
+            : this._options.provider(...args),
+        0
+      )
+    );
+  }
+
+  /**
+   * Register a promise for the value at key, so that others can reuse it while it is pending.
+   * Once it resolves, the value is stored in cache. If it fails, the failure is remembered as configured.
+   */
+  private _trackProviderPromise(key: string, valuePromise: Promise<TValue>): Promise<TValue> {
+    const promise = valuePromise
+      .catch(err => {
+        if (this._options.errorTtl) {
+          this._providerFailures.set(
+            key,
+            new AdequateCacheFailure(err, this._options.errorTtl, this._now())
+          );
+        }
+        throw err;
+      })
       .finally(() => {
         this._providerPromises.delete(key);
       })
@@ -190,60 +711,278 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
   }
 
   /**
-   * Returns an iterator of all the keys currently in cache.
-   * Performs vacuum beforehand, so the keys you get are guaranteed
-   * to be actually non-expired. Keys are provided converted to string.
+   * Call provider (or batch provider), with timeout and retries as configured.
+   * If "providerSignalArg" is set, each attempt gets its own signal, which is aborted if we give up on it.
    */
-  keys(): IterableIterator<string> {
-    this._vacuum();
-    return this._data.keys();
+  private _attemptProvider<T>(
+    call: (signal: AbortSignal | undefined) => T | Promise<T>,
+    attempt: number
+  ): Promise<T> {
+    const controller = this._options.providerSignalArg ? new AbortController() : null;
+    let startedAt: number;
+    return this._guardProviderPromise(
+      Promise.resolve().then(() => {
+        if (this._isAborted()) {
+          throw this._abortError();
+        }
+        this._counters.providerCalls++;
+        startedAt = measureNow();
+        return call(controller ? controller.signal : undefined);
+      }),
+      this._options.providerTimeout,
+      controller
+    )
+      .then(
+        value => {
+          this._counters.providerSuccesses++;
+          this._counters.providerLatency += measureNow() - startedAt;
+          return value;
+        },
+        err => {
+          if (startedAt !== undefined) {
+            this._counters.providerFailures++;
+            this._counters.providerLatency += measureNow() - startedAt;
+          }
+          throw err;
+        }
+      )
+      .catch(err => {
+        if (attempt >= this._options.providerRetries || this._isAborted()) {
+          throw err;
+        }
+
+        const delay = this._options.providerRetryDelay * Math.pow(2, attempt);
+        return this._guardProviderPromise(
+          new Promise(resolve => setTimeout(resolve, delay)),
+          null,
+          null
+        ).then(() => this._attemptProvider(call, attempt + 1));
+      });
   }
 
-  private _doDelete(entry: AdequateCacheEntry<TValue>) {
-    if (this._options.max) {
-      this._detach(entry);
+  /**
+   * Wrap promise so that it rejects if it doesn't resolve in time, or if "signal" is aborted.
+   * If we reject early, the given controller is aborted, so that provider knows it can stop.
+   */
+  private _guardProviderPromise<T>(
+    promise: Promise<T>,
+    timeout: number | null,
+    controller: AbortController | null
+  ): Promise<T> {
+    const signal = this._options.signal;
+    if (!timeout && !signal) {
+      return promise;
     }
-    this._data.delete(entry.key);
-    if (entry.ttl) {
-      this._ttlCount--;
+
+    return new Promise<T>((resolve, reject) => {
+      let timer = null;
+
+      const giveUp = (err: Error) => {
+        settle(reject, err);
+        if (controller) {
+          controller.abort();
+        }
+      };
+
+      const onAbort = () => {
+        giveUp(this._abortError());
+      };
+
+      const settle = (fn: (value: any) => void, value: any) => {
+        if (timer) {
+          clearTimeout(timer);
+        }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        fn(value);
+      };
+
+      // We always listen to the original promise, even if we end up rejecting early
+      promise.then(
+        value => settle(resolve, value),
+        err => settle(reject, err)
+      );
+
+      if (signal) {
+        if (signal.aborted) {
+          return onAbort();
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          giveUp(new Error(`Provider has timed out after ${timeout}ms`));
+        }, timeout);
+      }
+    });
+  }
+
+  private _isAborted() {
+    return !!(this._options.signal && this._options.signal.aborted);
+  }
+
+  private _abortError() {
+    return this._options.signal.reason || new Error('Provider was aborted');
+  }
+
+  /**
+   * Get remembered provider failure for key, if it hasn't expired
+   */
+  private _getProviderFailure(key: string): AdequateCacheFailure | undefined {
+    const failure = this._providerFailures.get(key);
+    if (failure && failure.hasExpired(this._now())) {
+      this._providerFailures.delete(key);
+      return undefined;
     }
+    return failure;
   }
 
   /**
-   * Attach entry to internal linked list head.
+   * Call provider for a stale key, without anyone waiting on the result.
+   * If it fails, stale value stays in place and error is reported through "onRefreshError".
    */
-  private _attachToHead(entry: AdequateCacheEntry<TValue>) {
-    if (this._head) {
-      entry.next = this._head;
-      this._head.prev = entry;
-    } else {
-      entry.next = null;
+  private _refreshInBackground(key: string, args: TProviderArgs) {
+    if (this._providerPromises.has(key) || this._getProviderFailure(key)) {
+      // Already being refreshed, or it has failed recently
+      return;
     }
-    if (!this._tail) {
-      this._tail = entry;
+
+    this._callProvider(key, args).catch(err => {
+      if (this._options.onRefreshError) {
+        this._options.onRefreshError(err, key);
+      }
+    });
+  }
+
+  /**
+   * Produce snapshot entries, from the least to the most recently used
+   */
+  private *_dumpEntries(now: number): IterableIterator<IAdequateCacheSnapshotEntry> {
+    // If we have no eviction policy, insertion order is the best we've got
+    const entries = this._policy ? this._policy.entries() : this._data.values();
+
+    let position = 0;
+    for (const entry of entries) {
+      const ttl = entry.remainingTtl(now);
+      if (ttl !== null && ttl <= 0) {
+        // Expired or stale
+        continue;
+      }
+
+      yield {
+        key: entry.key,
+        value: this._options.serializeValue
+          ? this._options.serializeValue(entry.value, entry.key)
+          : entry.value,
+        ttl,
+        size: entry.size,
+        ...(entry.tags ? { tags: entry.tags } : null),
+        position: position++,
+      };
     }
-    entry.prev = null;
-    this._head = entry;
   }
 
   /**
-   * Detach entry from the linked list. It stays in the lookup.
+   * Empty out all the keys which start with prefix, the same way as emptyOut()
    */
-  private _detach(entry: AdequateCacheEntry<TValue>) {
-    if (this._head === entry) {
-      this._head = entry.next;
+  private _emptyOutPrefix(prefix: string) {
+    for (const entry of this._data.values()) {
+      if (entry.key.startsWith(prefix)) {
+        this._doDelete(entry, 'cleared');
+      }
     }
-    if (this._tail === entry) {
-      this._tail = entry.prev;
+    for (const key of this._providerFailures.keys()) {
+      if (key.startsWith(prefix)) {
+        this._providerFailures.delete(key);
+      }
     }
-    if (entry.next) {
-      entry.next.prev = entry.prev;
+  }
+
+  /**
+   * Get entry at key, if it is neither expired nor stale
+   */
+  private _getFreshEntry(key: string, now = this._now()): AdequateCacheEntry<TValue> | undefined {
+    const entry = this._data.get(key);
+    return entry && !entry.isStale(now) ? entry : undefined;
+  }
+
+  /**
+   * Lazily iterate entries which are neither expired nor stale, mapped into whatever we need
+   */
+  private *_mapFreshEntries<T>(
+    mapper: (entry: AdequateCacheEntry<TValue>) => T
+  ): IterableIterator<T> {
+    const now = this._now();
+    for (const entry of this._data.values()) {
+      if (!entry.isStale(now)) {
+        yield mapper(entry);
+      }
+    }
+  }
+
+  /**
+   * Determine size of an entry we are about to store
+   */
+  private _calculateSize(key: string, value: TValue, explicitSize: number | undefined): number {
+    let size = 1;
+    if (explicitSize !== undefined) {
+      size = explicitSize;
+    } else if (this._options.sizeOf) {
+      size = this._options.sizeOf(value, key);
+    }
+
+    if (typeof size !== 'number' || !(size >= 0) || size === Infinity) {
+      throw new Error(`Invalid size for key "${key}": ${size}. Size must be a non-negative number`);
+    }
+
+    return size;
+  }
+
+  /**
+   * Remove entry from all internal structures, then let the user know it is gone
+   */
+  private _doDelete(entry: AdequateCacheEntry<TValue>, reason: AdequateCacheDisposeReason) {
+    if (this._policy) {
+      this._policy.onRemove(entry);
+    }
+    this._data.delete(entry.key);
+    if (entry.ttl) {
+      this._ttlCount--;
     }
-    if (entry.prev) {
-      entry.prev.next = entry.next;
+    this._totalSize -= entry.size;
+
+    if (entry.tags) {
+      for (const tag of entry.tags) {
+        const tagged = this._tagIndex.get(tag);
+        if (tagged) {
+          tagged.delete(entry);
+          if (!tagged.size) {
+            this._tagIndex.delete(tag);
+          }
+        }
+      }
+    }
+
+    if (reason === 'expired') {
+      this._counters.expirations++;
+    } else if (reason === 'evicted') {
+      this._counters.evictions++;
+    } else if (reason === 'deleted' || reason === 'cleared') {
+      this._counters.deletes++;
+    }
+
+    if (this._options.onDispose) {
+      try {
+        this._options.onDispose(entry.value, entry.key, reason);
+      } catch (err) {
+        // Don't let one bad callback break vacuum, or whatever call happened to trigger the removal
+        if (this._options.onDisposeError) {
+          this._options.onDisposeError(err, entry.key, reason);
+        }
+      }
     }
-    entry.next = null;
-    entry.prev = null;
   }
 
   /**
@@ -255,7 +994,12 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
       return;
     }
 
-    if (!this._ttlCount && (!this._options.max || this._data.size < this._options.max)) {
+    if (
+      !this._ttlCount &&
+      !this._providerFailures.size &&
+      (!this._options.max || this._data.size < this._options.max) &&
+      (!this._options.maxSize || this._totalSize < this._options.maxSize)
+    ) {
       // We know we don't need to vacuum, so we won't bother
       return;
     }
@@ -263,7 +1007,9 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
     if (
       this._now() - this._lastVacuumAt >= this._options.vacuumFrequency ||
       (this._options.max &&
-        this._data.size >= this._options.max * this._options.vacuumOverflowFactor)
+        this._data.size >= this._options.max * this._options.vacuumOverflowFactor) ||
+      (this._options.maxSize &&
+        this._totalSize >= this._options.maxSize * this._options.vacuumOverflowFactor)
     ) {
       // We should vacuum
       if (this._options.vacuumInBackground) {
@@ -283,11 +1029,12 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
     this._lastVacuumAt = this._now();
 
     const now = this._now();
+    const startedAt = measureNow();
 
     if (this._ttlCount > 0) {
       for (const entry of this._data.values()) {
-        if (entry.hasExpired(now)) {
-          this._doDelete(entry);
+        if (entry.hasExpired(now, this._options.staleTtl)) {
+          this._doDelete(entry, 'expired');
           if (this._ttlCount <= 0) {
             break;
           }
@@ -295,11 +1042,27 @@ export class AdequateCache<TValue, TProviderArgs extends any[] = any[]> {
       }
     }
 
-    if (this._options.max) {
-      // Eat from tail until we are good
-      while (this._data.size > this._options.max && this._tail) {
-        this._doDelete(this._tail);
+    for (const [key, failure] of this._providerFailures) {
+      if (failure.hasExpired(now)) {
+        this._providerFailures.delete(key);
       }
     }
+
+    if (this._policy) {
+      // Let the policy eat entries until we are good
+      while (
+        (this._options.max && this._data.size > this._options.max) ||
+        (this._options.maxSize && this._totalSize > this._options.maxSize)
+      ) {
+        const victim = this._policy.nextVictim();
+        if (!victim) {
+          break;
+        }
+        this._doDelete(victim, 'evicted');
+      }
+    }
+
+    this._counters.vacuums++;
+    this._counters.vacuumDuration += measureNow() - startedAt;
   }
 }
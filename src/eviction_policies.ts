@@ -0,0 +1,327 @@
+import { FrequencySketch } from './frequency_sketch';
+import { AdequateCacheEntry } from './internals';
+
+/**
+ * What eviction policies get to see of cache entries
+ */
+export interface IAdequateCacheEvictionEntry {
+  readonly key: string;
+  readonly size: number;
+}
+
+/**
+ * Decides which entries get removed, once cache goes over its "max" or "maxSize" limits.
+ * Cache notifies the policy about everything that happens with entries, and asks it for the next
+ * entry to evict during vacuum.
+ */
+export interface IAdequateCacheEvictionPolicy<
+  TEntry extends IAdequateCacheEvictionEntry = IAdequateCacheEvictionEntry,
+> {
+  /**
+   * New entry was added to cache
+   */
+  onAdd(entry: TEntry): void;
+
+  /**
+   * Entry was read from cache
+   */
+  onAccess(entry: TEntry): void;
+
+  /**
+   * Entry was removed from cache, for whatever reason (including being evicted)
+   */
+  onRemove(entry: TEntry): void;
+
+  /**
+   * Return the next entry which should be evicted, or undefined if there is nothing to evict.
+   * Cache will remove it and call onRemove() before asking for the next one.
+   */
+  nextVictim(): TEntry | undefined;
+
+  /**
+   * Iterate all entries, from the first to the last to be evicted
+   */
+  entries(): Iterable<TEntry>;
+}
+
+export type AdequateCacheEvictionPolicyName = 'lru' | 'fifo' | 'lfu' | 'tinylfu';
+
+type Entry = AdequateCacheEntry<any>;
+
+/**
+ * Doubly-linked list of entries, using entries' own prev and next pointers.
+ * Entry can only be in one list at a time.
+ * @internal
+ */
+export class EntryList {
+  head: Entry = null;
+  tail: Entry = null;
+
+  /**
+   * Attach entry to the list head.
+   */
+  attachToHead(entry: Entry) {
+    if (this.head) {
+      entry.next = this.head;
+      this.head.prev = entry;
+    } else {
+      entry.next = null;
+    }
+    if (!this.tail) {
+      this.tail = entry;
+    }
+    entry.prev = null;
+    this.head = entry;
+  }
+
+  /**
+   * Detach entry from the list.
+   */
+  detach(entry: Entry) {
+    if (this.head === entry) {
+      this.head = entry.next;
+    }
+    if (this.tail === entry) {
+      this.tail = entry.prev;
+    }
+    if (entry.next) {
+      entry.next.prev = entry.prev;
+    }
+    if (entry.prev) {
+      entry.prev.next = entry.next;
+    }
+    entry.next = null;
+    entry.prev = null;
+  }
+
+  /**
+   * Walk the list, from tail to head
+   */
+  *fromTail(): IterableIterator<Entry> {
+    let entry = this.tail;
+    while (entry) {
+      const prev = entry.prev;
+      yield entry;
+      entry = prev;
+    }
+  }
+}
+
+/**
+ * Evict the least recently used entries first. This is the default.
+ */
+export class LruEvictionPolicy implements IAdequateCacheEvictionPolicy<Entry> {
+  protected _list = new EntryList();
+
+  onAdd(entry: Entry) {
+    this._list.attachToHead(entry);
+  }
+
+  onAccess(entry: Entry) {
+    this._list.detach(entry);
+    this._list.attachToHead(entry);
+  }
+
+  onRemove(entry: Entry) {
+    this._list.detach(entry);
+  }
+
+  nextVictim(): Entry | undefined {
+    return this._list.tail || undefined;
+  }
+
+  entries(): Iterable<Entry> {
+    return this._list.fromTail();
+  }
+}
+
+/**
+ * Evict the oldest entries first, regardless of how they are used.
+ */
+export class FifoEvictionPolicy extends LruEvictionPolicy {
+  onAccess() {
+    // Reading doesn't change the order
+  }
+}
+
+/**
+ * Evict the least frequently used entries first. Among entries with the same frequency,
+ * the least recently used one goes first.
+ * Note that entries which were popular long ago can stay in cache for a long time. If that's an issue,
+ * consider using "tinylfu" policy.
+ */
+export class LfuEvictionPolicy implements IAdequateCacheEvictionPolicy<Entry> {
+  private _buckets = new Map<number, EntryList>();
+  private _minFrequency = 0;
+
+  onAdd(entry: Entry) {
+    entry.frequency = 1;
+    this._getBucket(1).attachToHead(entry);
+    this._minFrequency = 1;
+  }
+
+  onAccess(entry: Entry) {
+    const frequency = entry.frequency;
+    this._removeFromBucket(entry);
+    if (this._minFrequency === frequency && !this._buckets.has(frequency)) {
+      this._minFrequency = frequency + 1;
+    }
+
+    entry.frequency = frequency + 1;
+    this._getBucket(entry.frequency).attachToHead(entry);
+  }
+
+  onRemove(entry: Entry) {
+    this._removeFromBucket(entry);
+    if (this._minFrequency === entry.frequency && !this._buckets.has(entry.frequency)) {
+      // This should happen rarely, and there aren't usually many different frequencies
+      this._minFrequency = this._buckets.size ? Math.min(...this._buckets.keys()) : 0;
+    }
+  }
+
+  nextVictim(): Entry | undefined {
+    const bucket = this._buckets.get(this._minFrequency);
+    return (bucket && bucket.tail) || undefined;
+  }
+
+  *entries(): IterableIterator<Entry> {
+    const frequencies = Array.from(this._buckets.keys()).sort((a, b) => a - b);
+    for (const frequency of frequencies) {
+      yield* this._buckets.get(frequency).fromTail();
+    }
+  }
+
+  private _getBucket(frequency: number) {
+    let bucket = this._buckets.get(frequency);
+    if (!bucket) {
+      bucket = new EntryList();
+      this._buckets.set(frequency, bucket);
+    }
+    return bucket;
+  }
+
+  private _removeFromBucket(entry: Entry) {
+    const bucket = this._buckets.get(entry.frequency);
+    if (bucket) {
+      bucket.detach(entry);
+      if (!bucket.head) {
+        this._buckets.delete(entry.frequency);
+      }
+    }
+  }
+}
+
+const DEFAULT_SKETCH_WIDTH = 1024;
+
+export interface ITinyLfuEvictionPolicyOptions {
+  /**
+   * Number of counters in each row of the frequency sketch. More counters means more accurate
+   * frequency estimates, at the cost of memory (4 bytes per unit of width). Should be at least
+   * the number of keys you expect to hold. Defaults to 1024. When the policy is created by the cache
+   * (evictionPolicy: 'tinylfu'), the cache's "max" is used instead, if it is larger.
+   */
+  sketchWidth?: number;
+}
+
+/**
+ * LRU with frequency-based admission, inspired by TinyLFU.
+ * We approximately count how often each key is used (including keys which are no longer in cache).
+ * New entries start out in an admission window, and are moved to the main area once they are read.
+ * Once we need to evict, the oldest entry in the window is compared to the least recently used entry
+ * in the main area. The one which was used more often stays in cache. This way, a scan through many
+ * keys which are each used only once can't flush out the frequently used entries.
+ *
+ * Unlike W-TinyLFU, the window is not limited to a fixed share of the cache. It holds every entry
+ * which hasn't been read since it was added, so if the cache is mostly written to and rarely read,
+ * the window can take up the whole cache, and the policy behaves mostly like FIFO.
+ */
+export class TinyLfuEvictionPolicy implements IAdequateCacheEvictionPolicy<Entry> {
+  private _sketch: FrequencySketch;
+  private _window = new EntryList();
+  private _main = new EntryList();
+  private _inWindow = new Set<Entry>();
+
+  constructor(options?: ITinyLfuEvictionPolicyOptions) {
+    this._sketch = new FrequencySketch((options && options.sketchWidth) || DEFAULT_SKETCH_WIDTH);
+  }
+
+  onAdd(entry: Entry) {
+    this._sketch.increment(entry.key);
+    this._window.attachToHead(entry);
+    this._inWindow.add(entry);
+  }
+
+  onAccess(entry: Entry) {
+    this._sketch.increment(entry.key);
+    if (this._inWindow.delete(entry)) {
+      // It's been used again, so it's not a one-hit wonder
+      this._window.detach(entry);
+    } else {
+      this._main.detach(entry);
+    }
+    this._main.attachToHead(entry);
+  }
+
+  onRemove(entry: Entry) {
+    if (this._inWindow.delete(entry)) {
+      this._window.detach(entry);
+    } else {
+      this._main.detach(entry);
+    }
+  }
+
+  nextVictim(): Entry | undefined {
+    for (;;) {
+      const candidate = this._window.tail;
+      const victim = this._main.tail;
+      if (!candidate) {
+        return victim || undefined;
+      }
+
+      if (victim && this._sketch.frequency(candidate.key) <= this._sketch.frequency(victim.key)) {
+        // Candidate is not popular enough to get in
+        return candidate;
+      }
+
+      // Admit candidate into the main area
+      this._window.detach(candidate);
+      this._inWindow.delete(candidate);
+      this._main.attachToHead(candidate);
+
+      if (victim) {
+        return victim;
+      }
+    }
+  }
+
+  *entries(): IterableIterator<Entry> {
+    yield* this._window.fromTail();
+    yield* this._main.fromTail();
+  }
+}
+
+/**
+ * @internal
+ */
+export function createEvictionPolicy(
+  policy: AdequateCacheEvictionPolicyName | (() => IAdequateCacheEvictionPolicy),
+  max: number | null
+): IAdequateCacheEvictionPolicy<Entry> {
+  if (typeof policy === 'function') {
+    // Custom policy only ever gets to return entries we have given it
+    return policy() as IAdequateCacheEvictionPolicy<Entry>;
+  }
+
+  switch (policy) {
+    case 'lru':
+      return new LruEvictionPolicy();
+    case 'fifo':
+      return new FifoEvictionPolicy();
+    case 'lfu':
+      return new LfuEvictionPolicy();
+    case 'tinylfu':
+      return new TinyLfuEvictionPolicy({ sketchWidth: Math.max(max || 0, DEFAULT_SKETCH_WIDTH) });
+  }
+
+  throw new Error(`Unknown eviction policy: ${policy}`);
+}
@@ -0,0 +1,88 @@
+const MAX_COUNT = 15;
+const DEPTH = 4;
+const SEEDS = [0x97cb3127, 0xb3f47a21, 0x2c1b3c6d, 0x7f4a7c15];
+
+/**
+ * Count-min sketch, which approximately counts how often keys were seen, using a fixed amount of memory.
+ * Counters are capped at 15. Once enough keys were counted, all counters are halved, so that the old
+ * popularity fades away over time.
+ * @internal
+ */
+export class FrequencySketch {
+  private _table: Uint8Array;
+  private _mask: number;
+  private _sampleSize: number;
+  private _additions = 0;
+
+  /**
+   * @param width Number of counters per row. Will be rounded up to the power of two.
+   */
+  constructor(width: number) {
+    let powerOfTwo = 1;
+    while (powerOfTwo < width) {
+      powerOfTwo *= 2;
+    }
+
+    this._table = new Uint8Array(powerOfTwo * DEPTH);
+    this._mask = powerOfTwo - 1;
+    this._sampleSize = powerOfTwo * 10;
+  }
+
+  /**
+   * Record one more occurrence of key
+   */
+  increment(key: string) {
+    const hash = hashString(key);
+    let added = false;
+    for (let row = 0; row < DEPTH; row++) {
+      const index = this._indexOf(hash, row);
+      if (this._table[index] < MAX_COUNT) {
+        this._table[index]++;
+        added = true;
+      }
+    }
+
+    if (added && ++this._additions >= this._sampleSize) {
+      this._age();
+    }
+  }
+
+  /**
+   * Estimate how many times key was seen
+   */
+  frequency(key: string): number {
+    const hash = hashString(key);
+    let result = MAX_COUNT;
+    for (let row = 0; row < DEPTH; row++) {
+      result = Math.min(result, this._table[this._indexOf(hash, row)]);
+    }
+    return result;
+  }
+
+  private _indexOf(hash: number, row: number) {
+    const rowHash = Math.imul(hash ^ SEEDS[row], 0x5bd1e995);
+    return row * (this._mask + 1) + ((rowHash ^ (rowHash >>> 15)) & this._mask);
+  }
+
+  /**
+   * Halve all the counters
+   */
+  private _age() {
+    for (let i = 0; i < this._table.length; i++) {
+      this._table[i] >>= 1;
+    }
+    this._additions = Math.floor(this._additions / 2);
+  }
+}
+
+/**
+ * FNV-1a hash of a string
+ */
+function hashString(str: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
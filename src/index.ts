@@ -1,5 +1,48 @@
 import { AdequateCache } from './adequate_cache';
-import { DEFAULT_OPTIONS, IAdequateCacheOptions } from './options';
+import {
+  AdequateCacheEvictionPolicyName,
+  FifoEvictionPolicy,
+  IAdequateCacheEvictionEntry,
+  IAdequateCacheEvictionPolicy,
+  ITinyLfuEvictionPolicyOptions,
+  LfuEvictionPolicy,
+  LruEvictionPolicy,
+  TinyLfuEvictionPolicy,
+} from './eviction_policies';
+import { AdequateCacheNamespace } from './namespace';
+import {
+  AdequateCacheDisposeReason,
+  DEFAULT_OPTIONS,
+  IAdequateCacheOptions,
+  IAdequateCacheSetOptions,
+} from './options';
+import {
+  IAdequateCacheSnapshot,
+  IAdequateCacheSnapshotEntry,
+  IAdequateCacheSnapshotStream,
+} from './snapshot';
+import { formatPrometheusStats, IAdequateCacheStats, IPrometheusFormatOptions } from './stats';
 
-export { AdequateCache, IAdequateCacheOptions, DEFAULT_OPTIONS };
+export {
+  AdequateCache,
+  AdequateCacheNamespace,
+  IAdequateCacheOptions,
+  IAdequateCacheSetOptions,
+  AdequateCacheDisposeReason,
+  IAdequateCacheSnapshot,
+  IAdequateCacheSnapshotEntry,
+  IAdequateCacheSnapshotStream,
+  IAdequateCacheStats,
+  IPrometheusFormatOptions,
+  formatPrometheusStats,
+  AdequateCacheEvictionPolicyName,
+  IAdequateCacheEvictionPolicy,
+  IAdequateCacheEvictionEntry,
+  LruEvictionPolicy,
+  FifoEvictionPolicy,
+  LfuEvictionPolicy,
+  TinyLfuEvictionPolicy,
+  ITinyLfuEvictionPolicyOptions,
+  DEFAULT_OPTIONS,
+};
 export default AdequateCache;
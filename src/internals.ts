@@ -7,18 +7,62 @@ export class AdequateCacheEntry<TValue> {
   value: TValue;
   ttl: number;
   timestamp: number;
+  size: number;
+  tags: string[] | null = null;
 
+  /**
+   * Used by eviction policies
+   */
   next: AdequateCacheEntry<TValue> = null;
   prev: AdequateCacheEntry<TValue> = null;
+  frequency = 0;
 
-  constructor(key, value, ttl, timestamp) {
+  constructor(key, value, ttl, timestamp, size) {
     this.key = key;
     this.value = value;
     this.ttl = ttl;
     this.timestamp = timestamp;
+    this.size = size;
   }
 
-  hasExpired(nowTimestamp: number) {
+  /**
+   * Entry has outlived its ttl and the (optional) stale period after it, and should be removed
+   */
+  hasExpired(nowTimestamp: number, staleTtl?: number) {
+    return this.ttl && nowTimestamp - this.timestamp > this.ttl + (staleTtl || 0);
+  }
+
+  /**
+   * Entry has outlived its ttl. If there is no stale period, this is the same as hasExpired().
+   */
+  isStale(nowTimestamp: number) {
     return this.ttl && nowTimestamp - this.timestamp > this.ttl;
   }
+
+  /**
+   * How many ms until the entry becomes stale. Null means the entry lives forever.
+   */
+  remainingTtl(nowTimestamp: number): number | null {
+    return this.ttl ? this.ttl - (nowTimestamp - this.timestamp) : null;
+  }
+}
+
+/**
+ * Remembered provider failure, used for negative caching
+ * @internal
+ */
+export class AdequateCacheFailure {
+  error: any;
+  ttl: number;
+  timestamp: number;
+
+  constructor(error, ttl, timestamp) {
+    this.error = error;
+    this.ttl = ttl;
+    this.timestamp = timestamp;
+  }
+
+  hasExpired(nowTimestamp: number) {
+    return nowTimestamp - this.timestamp > this.ttl;
+  }
 }
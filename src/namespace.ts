@@ -0,0 +1,205 @@
+import { AdequateCache } from './adequate_cache';
+import { IAdequateCacheSetOptions } from './options';
+
+/**
+ * Scoped view of an AdequateCache, created using cache.namespace(prefix). All the keys are prefixed
+ * with "prefix:" and stored in the parent cache, so they share its storage, limits, eviction and ttl.
+ *
+ * Tags given to the namespace are prefixed the same way, so invalidateTag() only affects this namespace.
+ * Tags produced by the "tagsOf" option are not prefixed. Use the parent cache to invalidate those.
+ *
+ * Since it's all just key prefixes, namespaces nest: namespace("a") contains everything in
+ * namespace("a:b"), and emptying out the former empties out the latter too.
+ *
+ * provide() and provideMany() are not available here. Provider belongs to the parent cache,
+ * so it would have no way of knowing which namespace it is providing for.
+ */
+export class AdequateCacheNamespace<TValue> {
+  private _cache: AdequateCache<TValue, any>;
+  private _prefix: string;
+  private _emptyOutPrefix: (keyPrefix: string) => void;
+
+  /**
+   * @param emptyOutPrefix Empties out all the keys in the parent cache which start with the given prefix
+   */
+  constructor(
+    cache: AdequateCache<TValue, any>,
+    prefix: string,
+    emptyOutPrefix: (keyPrefix: string) => void,
+    bindMethods?: boolean
+  ) {
+    this._cache = cache;
+    this._prefix = `${prefix}:`;
+    this._emptyOutPrefix = emptyOutPrefix;
+
+    if (bindMethods) {
+      this.has = this.has.bind(this);
+      this.get = this.get.bind(this);
+      this.set = this.set.bind(this);
+      this.del = this.del.bind(this);
+      this.emptyOut = this.emptyOut.bind(this);
+      this.invalidateTag = this.invalidateTag.bind(this);
+      this.getMany = this.getMany.bind(this);
+      this.setMany = this.setMany.bind(this);
+      this.delMany = this.delMany.bind(this);
+      this.keys = this.keys.bind(this);
+      this.entries = this.entries.bind(this);
+      this.values = this.values.bind(this);
+      this.forEach = this.forEach.bind(this);
+      this.peek = this.peek.bind(this);
+      this.touch = this.touch.bind(this);
+      this.getRemainingTtl = this.getRemainingTtl.bind(this);
+    }
+  }
+
+  /**
+   * See AdequateCache.has()
+   */
+  has(key: string | number): boolean {
+    return this._cache.has(this._prefix + key);
+  }
+
+  /**
+   * See AdequateCache.get()
+   */
+  get(key: string | number): TValue | undefined {
+    return this._cache.get(this._prefix + key);
+  }
+
+  /**
+   * See AdequateCache.set(). Tags are prefixed, same as the key.
+   */
+  set(
+    key: string | number,
+    value: TValue,
+    ttlOrOptions?: number | null | IAdequateCacheSetOptions
+  ): boolean {
+    if (ttlOrOptions && typeof ttlOrOptions === 'object' && ttlOrOptions.tags) {
+      ttlOrOptions = {
+        ...ttlOrOptions,
+        tags: ttlOrOptions.tags.map(tag => this._prefix + tag),
+      };
+    }
+    return this._cache.set(this._prefix + key, value, ttlOrOptions);
+  }
+
+  /**
+   * See AdequateCache.del()
+   */
+  del(key: string | number): boolean {
+    return this._cache.del(this._prefix + key);
+  }
+
+  /**
+   * Delete all the keys in this namespace. The rest of the cache is not affected. Same as with
+   * AdequateCache.emptyOut(), "onDispose" is called with reason "cleared".
+   * Note that this has to go through all the keys in the parent cache.
+   */
+  emptyOut() {
+    this._emptyOutPrefix(this._prefix);
+  }
+
+  /**
+   * Delete all the values in this namespace which were set with the given tag.
+   * See AdequateCache.invalidateTag()
+   */
+  invalidateTag(tag: string): number {
+    return this._cache.invalidateTag(this._prefix + tag);
+  }
+
+  /**
+   * See AdequateCache.getMany()
+   */
+  getMany(keys: Array<string | number>): Array<TValue | undefined> {
+    return keys.map(key => this.get(key));
+  }
+
+  /**
+   * See AdequateCache.setMany()
+   */
+  setMany(
+    entries: Array<[string | number, TValue, (number | null | IAdequateCacheSetOptions)?]>
+  ): boolean[] {
+    return entries.map(([key, value, ttlOrOptions]) => this.set(key, value, ttlOrOptions));
+  }
+
+  /**
+   * See AdequateCache.delMany()
+   */
+  delMany(keys: Array<string | number>): number {
+    return this._cache.delMany(keys.map(key => this._prefix + key));
+  }
+
+  /**
+   * Returns an iterator of all the keys in this namespace, without the prefix.
+   * See AdequateCache.keys()
+   */
+  *keys(): IterableIterator<string> {
+    for (const key of this._cache.keys()) {
+      if (key.startsWith(this._prefix)) {
+        yield key.slice(this._prefix.length);
+      }
+    }
+  }
+
+  /**
+   * Returns an iterator of [key, value] pairs in this namespace, without the prefix.
+   * See AdequateCache.entries()
+   */
+  *entries(): IterableIterator<[string, TValue]> {
+    for (const [key, value] of this._cache.entries()) {
+      if (key.startsWith(this._prefix)) {
+        yield [key.slice(this._prefix.length), value];
+      }
+    }
+  }
+
+  /**
+   * Returns an iterator of values in this namespace. See AdequateCache.values()
+   */
+  *values(): IterableIterator<TValue> {
+    for (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  /**
+   * See AdequateCache.forEach()
+   */
+  forEach(
+    callback: (value: TValue, key: string, namespace: AdequateCacheNamespace<TValue>) => void,
+    thisArg?: any
+  ) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  /**
+   * Same as entries(), so that you can do for (const [key, value] of namespace) {...}
+   */
+  [Symbol.iterator](): IterableIterator<[string, TValue]> {
+    return this.entries();
+  }
+
+  /**
+   * See AdequateCache.peek()
+   */
+  peek(key: string | number): TValue | undefined {
+    return this._cache.peek(this._prefix + key);
+  }
+
+  /**
+   * See AdequateCache.touch()
+   */
+  touch(key: string | number, ttl?: number | null): boolean {
+    return this._cache.touch(this._prefix + key, ttl);
+  }
+
+  /**
+   * See AdequateCache.getRemainingTtl()
+   */
+  getRemainingTtl(key: string | number): number | null | undefined {
+    return this._cache.getRemainingTtl(this._prefix + key);
+  }
+}
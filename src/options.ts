@@ -1,3 +1,15 @@
+import { AdequateCacheEvictionPolicyName, IAdequateCacheEvictionPolicy } from './eviction_policies';
+
+/**
+ * Why was an entry removed from cache:
+ * - expired: its TTL has run out
+ * - evicted: it was pushed out by "max" or "maxSize" limits
+ * - deleted: it was deleted using del(), or by setting undefined
+ * - replaced: a new value was set at the same key
+ * - cleared: cache (or its namespace) was emptied out
+ */
+export type AdequateCacheDisposeReason = 'expired' | 'evicted' | 'deleted' | 'replaced' | 'cleared';
+
 interface IAdequateCacheBaseOptions {
   /**
    * Default time to live for records, in ms. Null/undefined means entries live forever, unless forced out by LRU.
@@ -9,6 +21,25 @@ interface IAdequateCacheBaseOptions {
    */
   max?: number | null;
 
+  /**
+   * Approximate max total size of all entries in cache. Size of each entry is determined by "sizeOf" option,
+   * or given explicitly when calling set(). Once the total goes over this budget, least recently used entries
+   * are removed until we are under it again. Entries that are larger than the entire budget are not stored at all.
+   * Null/undefined means no limit.
+   */
+  maxSize?: number | null;
+
+  /**
+   * How to choose which entries to evict, once we go over "max" or "maxSize" limits:
+   * - lru: least recently used entries go first
+   * - fifo: oldest entries go first
+   * - lfu: least frequently used entries go first
+   * - tinylfu: like lru, but new entries must be used more often than the ones they would replace,
+   *   in order to get in. Good for workloads with occasional scans over many keys.
+   * You can also give a function that creates your own policy. Defaults to "lru".
+   */
+  evictionPolicy?: AdequateCacheEvictionPolicyName | (() => IAdequateCacheEvictionPolicy);
+
   /**
    * How often do we "vacuum" the data, in ms.
    * Vacuuming refers to going through the list and clearing out expired data, then removing the overflowing
@@ -40,6 +71,43 @@ interface IAdequateCacheBaseOptions {
    */
   bindMethods?: boolean;
 
+  /**
+   * If provider fails, remember the failure for this many ms. During that time, provide() for the same key
+   * will reject with the same error, without calling provider again.
+   * Null/undefined means failures are not remembered.
+   */
+  errorTtl?: number | null;
+
+  /**
+   * How many more times to call provider if it fails, before giving up. Defaults to 0 (no retries).
+   */
+  providerRetries?: number;
+
+  /**
+   * Delay before the first retry, in ms. Each subsequent retry waits twice as long as the previous one.
+   * Defaults to 100.
+   */
+  providerRetryDelay?: number;
+
+  /**
+   * If provider doesn't resolve in this many ms, consider that attempt failed.
+   * Null/undefined means wait forever.
+   */
+  providerTimeout?: number | null;
+
+  /**
+   * If true, each provider and batch provider call gets its own AbortSignal, after the other arguments.
+   * That signal is aborted when we give up on the call ("signal" or "providerTimeout"), so that provider
+   * can stop whatever it is doing. Requires AbortController to be available. Defaults to false.
+   */
+  providerSignalArg?: boolean;
+
+  /**
+   * Shutdown signal for the cache. Once it is aborted, all the pending provide() calls are rejected, and so
+   * are all the future ones, since provider is never called again. Use a new cache if you want to start over.
+   */
+  signal?: AbortSignal;
+
   /**
    * Method to return current timestamp. Useful in testing and similar scenarios. Defaults to Date.now().
    */
@@ -54,6 +122,9 @@ export interface IAdequateCacheOptions<TValue, TProviderArgs extends any[] = any
    *
    * This is just a little utility to help you reduce the boilerplate around
    * the most usual use patterns of caches like this.
+   *
+   * If "providerSignalArg" is set, provider is also given an AbortSignal after the args.
+   * To use it in TypeScript, declare it as an optional last argument.
    */
   provider?: (...args: TProviderArgs) => Promise<TValue> | TValue;
 
@@ -62,11 +133,93 @@ export interface IAdequateCacheOptions<TValue, TProviderArgs extends any[] = any
    * are stringified and joined.
    */
   providerArgsToKey?: (...args: TProviderArgs) => string | null;
+
+  /**
+   * Method that will be called when you call cache.provideMany(keys), with the keys that are not in the cache.
+   * Must return an array of values, one for each key, in the same order. Each value is then placed in cache
+   * under its own key. Return undefined for a key to keep it out of cache.
+   * If "providerSignalArg" is set, batch provider is also given an AbortSignal after the keys.
+   */
+  batchProvider?: (keys: string[], signal?: AbortSignal) => Promise<TValue[]> | TValue[];
+
+  /**
+   * Time in ms, after an entry's ttl has run out, during which the entry is considered "stale" instead of expired.
+   * Stale entries are not returned by get() or has(). However, provide() will return the stale value immediately,
+   * and call provider in the background to refresh it (stale-while-revalidate).
+   * Null/undefined means entries expire as soon as their ttl runs out.
+   */
+  staleTtl?: number | null;
+
+  /**
+   * Called when provider fails while refreshing a stale entry in the background. The stale value is kept
+   * in cache until it expires, so subsequent calls to provide() will retry the refresh.
+   */
+  onRefreshError?: (err: any, key: string) => void;
+
+  /**
+   * Function to calculate the size of an entry, used together with "maxSize". Must return a non-negative number.
+   * If not given, each entry has size 1.
+   */
+  sizeOf?: (value: TValue, key: string) => number;
+
+  /**
+   * Function to determine tags for entries which are set without explicit tags. This way, you can
+   * tag values obtained through provide(). See invalidateTag().
+   */
+  tagsOf?: (value: TValue, key: string) => string[] | null;
+
+  /**
+   * Convert value into something JSON-serializable, when making a snapshot using dump(). By default,
+   * values are included in snapshot as they are.
+   */
+  serializeValue?: (value: TValue, key: string) => any;
+
+  /**
+   * Reverse of "serializeValue", used when loading a snapshot.
+   */
+  deserializeValue?: (serialized: any, key: string) => TValue;
+
+  /**
+   * Called whenever an entry leaves the cache, for whatever reason. Useful for closing resources held
+   * by cached values, or for collecting metrics. Called after the entry has already been removed.
+   * If it throws, the error is passed to "onDisposeError" (or ignored), and the cache carries on.
+   */
+  onDispose?: (value: TValue, key: string, reason: AdequateCacheDisposeReason) => void;
+
+  /**
+   * Called when "onDispose" throws. Cache operation which caused the removal is not affected.
+   */
+  onDisposeError?: (err: any, key: string, reason: AdequateCacheDisposeReason) => void;
+}
+
+/**
+ * Per-call options for cache.set()
+ */
+export interface IAdequateCacheSetOptions {
+  /**
+   * Set TTL specifically for this key. Undefined means use the global default, null means live forever.
+   */
+  ttl?: number | null;
+
+  /**
+   * Size of this entry. If given, "sizeOf" option is not called.
+   */
+  size?: number;
+
+  /**
+   * Tags for this entry. You can later remove all entries with a certain tag using invalidateTag().
+   * If given, "tagsOf" option is not called.
+   */
+  tags?: string[];
 }
 
 export const DEFAULT_OPTIONS: IAdequateCacheBaseOptions = {
   vacuumFrequency: 60 * 1000,
+  evictionPolicy: 'lru',
   vacuumOverflowFactor: 1.2,
   vacuumInBackground: true,
   bindMethods: true,
+  providerRetries: 0,
+  providerRetryDelay: 100,
+  providerSignalArg: false,
 };
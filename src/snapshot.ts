@@ -0,0 +1,62 @@
+/**
+ * Single cache entry, as stored in a snapshot
+ */
+export interface IAdequateCacheSnapshotEntry {
+  key: string;
+
+  /**
+   * Value, as produced by "serializeValue" option (if given)
+   */
+  value: any;
+
+  /**
+   * Remaining time to live, in ms, at the moment the snapshot was made. Null means entry lives forever.
+   */
+  ttl: number | null;
+
+  /**
+   * Size of the entry (see "maxSize" option)
+   */
+  size: number;
+
+  /**
+   * Tags of the entry, if it has any
+   */
+  tags?: string[];
+
+  /**
+   * Recency of the entry. The least recently used entry is at position 0, the next one at 1, and so on.
+   * Entries are loaded in this order, so the LRU order is restored even if entries are shuffled around.
+   */
+  position: number;
+}
+
+/**
+ * Plain JSON-serializable snapshot of cache contents, produced by cache.dump()
+ */
+export interface IAdequateCacheSnapshot {
+  /**
+   * Time when the snapshot was made, as given by "now" option. Used to adjust ttl-s upon loading.
+   */
+  timestamp: number;
+
+  /**
+   * Entries ordered from the least to the most recently used (see "position")
+   */
+  entries: IAdequateCacheSnapshotEntry[];
+}
+
+/**
+ * Streaming snapshot of cache contents, produced by cache.dumpEntries()
+ */
+export interface IAdequateCacheSnapshotStream {
+  /**
+   * Time when the snapshot was made, as given by "now" option. Give it to loadEntries() to adjust ttl-s.
+   */
+  timestamp: number;
+
+  /**
+   * Lazily produced entries, ordered from the least to the most recently used (see "position")
+   */
+  entries: IterableIterator<IAdequateCacheSnapshotEntry>;
+}
@@ -0,0 +1,243 @@
+/**
+ * Statistics collected by the cache. Counters are collected since the cache was created,
+ * or since the last call to resetStats().
+ */
+export interface IAdequateCacheStats {
+  /**
+   * Number of get() calls (including has(), provide() and similar) which found a value
+   */
+  hits: number;
+
+  /**
+   * Number of get() calls (including has(), provide() and similar) which didn't find a value
+   */
+  misses: number;
+
+  /**
+   * Number of times provide() or provideMany() has served a stale value (see "staleTtl").
+   * The lookup itself didn't find a fresh value, so these are also counted as misses.
+   */
+  staleHits: number;
+
+  /**
+   * hits / (hits + misses), or 0 if there were no calls
+   */
+  hitRatio: number;
+
+  /**
+   * Number of values stored in cache
+   */
+  sets: number;
+
+  /**
+   * Number of values deleted on request: using del(), emptyOut(), invalidateTag() and their namespace
+   * counterparts, or by set() refusing a new value too large to replace the old one
+   */
+  deletes: number;
+
+  /**
+   * Number of values removed because their ttl has run out
+   */
+  expirations: number;
+
+  /**
+   * Number of values pushed out by "max" or "maxSize" limits
+   */
+  evictions: number;
+
+  /**
+   * Number of times vacuum was performed
+   */
+  vacuums: number;
+
+  /**
+   * Total time spent vacuuming, in ms
+   */
+  vacuumDuration: number;
+
+  /**
+   * Number of times provider (or batch provider) was called, including retries
+   */
+  providerCalls: number;
+
+  /**
+   * Number of provider calls which have succeeded
+   */
+  providerSuccesses: number;
+
+  /**
+   * Number of provider calls which have failed or timed out
+   */
+  providerFailures: number;
+
+  /**
+   * Number of times provide() or provideMany() has reused a pending provider call, instead of making a new one
+   */
+  providerDedupedWaits: number;
+
+  /**
+   * Total time spent waiting for provider calls, in ms
+   */
+  providerLatency: number;
+
+  /**
+   * Number of keys currently in cache, including expired ones which haven't been vacuumed yet
+   */
+  size: number;
+
+  /**
+   * Total size of entries currently in cache (see "maxSize" option)
+   */
+  totalSize: number;
+}
+
+/**
+ * Counters we collect as we go
+ * @internal
+ */
+export type AdequateCacheCounters = Omit<IAdequateCacheStats, 'hitRatio' | 'size' | 'totalSize'>;
+
+/**
+ * @internal
+ */
+export function createCounters(): AdequateCacheCounters {
+  return {
+    hits: 0,
+    misses: 0,
+    staleHits: 0,
+    sets: 0,
+    deletes: 0,
+    expirations: 0,
+    evictions: 0,
+    vacuums: 0,
+    vacuumDuration: 0,
+    providerCalls: 0,
+    providerSuccesses: 0,
+    providerFailures: 0,
+    providerDedupedWaits: 0,
+    providerLatency: 0,
+  };
+}
+
+export interface IPrometheusFormatOptions {
+  /**
+   * Prefix for metric names. Defaults to "adequate_cache".
+   */
+  prefix?: string;
+
+  /**
+   * Labels to add to every metric, eg. { cache: 'users' }
+   */
+  labels?: Record<string, string>;
+}
+
+const PROMETHEUS_METRICS: Array<{
+  stat: keyof IAdequateCacheStats;
+  name: string;
+  type: 'counter' | 'gauge';
+  help: string;
+  scale?: number;
+}> = [
+  { stat: 'hits', name: 'hits_total', type: 'counter', help: 'Number of cache hits' },
+  { stat: 'misses', name: 'misses_total', type: 'counter', help: 'Number of cache misses' },
+  {
+    stat: 'staleHits',
+    name: 'stale_hits_total',
+    type: 'counter',
+    help: 'Number of stale values served while refreshing',
+  },
+  { stat: 'hitRatio', name: 'hit_ratio', type: 'gauge', help: 'Ratio of hits to all lookups' },
+  { stat: 'sets', name: 'sets_total', type: 'counter', help: 'Number of values stored' },
+  { stat: 'deletes', name: 'deletes_total', type: 'counter', help: 'Number of values deleted' },
+  {
+    stat: 'expirations',
+    name: 'expirations_total',
+    type: 'counter',
+    help: 'Number of values removed due to ttl',
+  },
+  {
+    stat: 'evictions',
+    name: 'evictions_total',
+    type: 'counter',
+    help: 'Number of values removed due to size limits',
+  },
+  { stat: 'vacuums', name: 'vacuums_total', type: 'counter', help: 'Number of vacuum runs' },
+  {
+    stat: 'vacuumDuration',
+    name: 'vacuum_duration_seconds_total',
+    type: 'counter',
+    help: 'Total time spent vacuuming',
+    scale: 1 / 1000,
+  },
+  {
+    stat: 'providerCalls',
+    name: 'provider_calls_total',
+    type: 'counter',
+    help: 'Number of provider calls',
+  },
+  {
+    stat: 'providerSuccesses',
+    name: 'provider_successes_total',
+    type: 'counter',
+    help: 'Number of successful provider calls',
+  },
+  {
+    stat: 'providerFailures',
+    name: 'provider_failures_total',
+    type: 'counter',
+    help: 'Number of failed provider calls',
+  },
+  {
+    stat: 'providerDedupedWaits',
+    name: 'provider_deduped_waits_total',
+    type: 'counter',
+    help: 'Number of times a pending provider call was reused',
+  },
+  {
+    stat: 'providerLatency',
+    name: 'provider_latency_seconds_total',
+    type: 'counter',
+    help: 'Total time spent waiting for provider',
+    scale: 1 / 1000,
+  },
+  { stat: 'size', name: 'size', type: 'gauge', help: 'Number of keys in cache' },
+  { stat: 'totalSize', name: 'total_size', type: 'gauge', help: 'Total size of entries' },
+];
+
+/**
+ * Render cache stats in Prometheus text exposition format
+ */
+export function formatPrometheusStats(
+  stats: IAdequateCacheStats,
+  options?: IPrometheusFormatOptions
+): string {
+  const prefix = (options && options.prefix) || 'adequate_cache';
+  const labels = (options && options.labels) || {};
+
+  const labelKeys = Object.keys(labels);
+  const labelsStr = labelKeys.length
+    ? '{' + labelKeys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',') + '}'
+    : '';
+
+  const lines = [];
+  for (const metric of PROMETHEUS_METRICS) {
+    const name = `${prefix}_${metric.name}`;
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    lines.push(`${name}${labelsStr} ${stats[metric.stat] * (metric.scale || 1)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function escapeLabelValue(value: string) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * High resolution timestamp in ms, for measuring durations
+ * @internal
+ */
+export function measureNow(): number {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}